@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/*
+ * bxson command line tool, to convert and look at encoded payloads
+ *
+ * Copyright (C) 2022,2023 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ *
+ * Usage: bxson <command> [--framed] [file]
+ *
+ * Input is read from the file or stdin and processed as it arrives, one item at a time, so
+ * files larger than memory can be converted as long as each item fits.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var StringDecoder = require('string_decoder').StringDecoder;
+
+var bjson = require('../bjson');
+
+var allocBuf = eval('parseFloat(process.versions.node) > 6 ? Buffer.allocUnsafe : Buffer');
+
+var USAGE = [
+    'usage: bxson <command> [--framed] [file]',
+    '',
+    'commands:',
+    '  encode    read JSON or NDJSON values, write them as bxson',
+    '  decode    read bxson items, write them as NDJSON',
+    '  dump      read bxson items, print an annotated hex listing of each',
+    '  stats     read bxson items, report their size compared to JSON and by type',
+    '',
+    'options:',
+    '  --framed  bxson items are prefixed with a 4-byte big-endian length (see createEncodeStream)',
+    '            instead of being concatenated',
+].join('\n');
+
+var commands = {
+    encode: runEncode,
+    decode: runDecode,
+    dump: runDump,
+    stats: runStats,
+};
+
+var HEADER_LENGTH = 4;
+
+module.exports = {
+    main: main,
+    JsonSplitter: JsonSplitter,
+    ItemReader: ItemReader,
+    dumpItem: dumpItem,
+    Stats: Stats,
+};
+
+if (require.main === module) main(process.argv.slice(2));
+
+function main( argv ) {
+    var args = [], framed = false;
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '--framed' || argv[i] === '-f') framed = true;
+        else if (argv[i] === '--help' || argv[i] === '-h') return console.log(USAGE);
+        else args.push(argv[i]);
+    }
+    var command = commands[args[0]];
+    if (!command || args.length > 2) { console.error(USAGE); return process.exit(2) }
+    var input = args[1] && args[1] !== '-' ? fs.createReadStream(args[1]) : process.stdin;
+    command(input, process.stdout, { framed: framed }, function(err) {
+        if (err) { console.error('bxson: ' + err.message); process.exit(1) }
+    });
+}
+
+// read the input a chunk at a time, and pause it while the output is full
+function pipeInput( input, output, onChunk, onEnd, callback ) {
+    var done = false, paused = false;
+    function finish( err ) { if (!done) { done = true; callback(err) } }
+    function write( data ) {
+        if (!output.write(data) && !paused) {
+            paused = true;
+            input.pause();
+            output.once('drain', function() { paused = false; input.resume() });
+        }
+    }
+    input.on('error', finish);
+    input.on('data', function(chunk) {
+        if (done) return;
+        try { onChunk(chunk, write) } catch (err) { input.pause(); finish(err) }
+    });
+    input.on('end', function() {
+        if (done) return;
+        try { onEnd(write) } catch (err) { return finish(err) }
+        finish();
+    });
+}
+
+function runEncode( input, output, options, callback ) {
+    var splitter = new JsonSplitter();
+    function encodeValue( text, write ) {
+        var bytes = bjson.fromJSON(text);
+        if (options.framed) write(frameHeader(bytes.length));
+        write(bytes);
+    }
+    pipeInput(input, output,
+        function(chunk, write) { splitter.write(chunk, function(text) { encodeValue(text, write) }) },
+        function(write) { splitter.end(function(text) { encodeValue(text, write) }) },
+        callback);
+}
+
+function runDecode( input, output, options, callback ) {
+    var reader = new ItemReader(options.framed);
+    function decodeValue( bytes, write ) {
+        write(toJson(bjson.decode(bytes)) + '\n');
+    }
+    pipeInput(input, output,
+        function(chunk, write) { reader.write(chunk, function(bytes) { decodeValue(bytes, write) }) },
+        function(write) { reader.end(function(bytes) { decodeValue(bytes, write) }) },
+        callback);
+}
+
+function runDump( input, output, options, callback ) {
+    var reader = new ItemReader(options.framed, true), offset = 0;
+    function dumpValue( bytes, write ) {
+        if (options.framed) offset += HEADER_LENGTH;
+        write(dumpItem(bytes, offset) + '\n');
+        offset += bytes.length;
+    }
+    pipeInput(input, output,
+        function(chunk, write) { reader.write(chunk, function(bytes) { dumpValue(bytes, write) }) },
+        function(write) { reader.end(function(bytes) { dumpValue(bytes, write) }) },
+        callback);
+}
+
+function runStats( input, output, options, callback ) {
+    var reader = new ItemReader(options.framed), stats = new Stats();
+    function addValue( bytes ) { stats.add(bytes) }
+    pipeInput(input, output,
+        function(chunk) { reader.write(chunk, addValue) },
+        function(write) { reader.end(addValue); write(stats.report()) },
+        callback);
+}
+
+function frameHeader( len ) {
+    var header = allocBuf(HEADER_LENGTH);
+    header.writeUInt32BE(len, 0);
+    return header;
+}
+
+// JSON cannot represent all values, print BigInts as numbers and Maps and Sets as objects and arrays.
+// BigInts are stringified as numbered marker strings and their digits spliced in after; the
+// marker is lengthened until no other string in the value looks like one.
+function toJson( value ) {
+    var marker = '', bigints, json, markers;
+    do {
+        marker += '#';
+        bigints = [];
+        json = JSON.stringify(value, function(key, value) {
+            if (typeof value === 'bigint') return '\u0000' + marker + (bigints.push(String(value)) - 1);
+            if (value instanceof Map) { var obj = {}; value.forEach(function(v, k) { obj[k] = v }); return obj }
+            if (value instanceof Set) { var arr = []; value.forEach(function(v) { arr.push(v) }); return arr }
+            return value;
+        });
+        markers = new RegExp('"\\\\u0000' + marker + '(\\d+)"', 'g');
+    } while (bigints.length && json.match(markers).length !== bigints.length);
+    if (json === undefined) return 'null';
+    return bigints.length ? json.replace(markers, function(match, i) { return bigints[i] }) : json;
+}
+
+/*
+ * Split a stream of text into the JSON values it contains, for NDJSON (one value per line) or
+ * concatenated or pretty-printed JSON.  The brackets are counted, outside of strings, to find
+ * where each value ends without parsing it.
+ */
+function JsonSplitter( ) {
+    this.decoder = new StringDecoder('utf8');
+    this.text = '';
+    this.pos = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.inScalar = false;
+}
+
+JsonSplitter.prototype.write = function write( chunk, onValue ) {
+    var text = this.text += this.decoder.write(chunk);
+    var start = 0;
+    for (var i = this.pos; i < text.length; i++) {
+        var ch = text.charCodeAt(i);
+        if (this.inString) {
+            if (this.escaped) this.escaped = false;
+            else if (ch === 0x5c) this.escaped = true;
+            else if (ch === 0x22) {
+                this.inString = false;
+                if (this.depth === 0) { onValue(text.slice(start, i + 1)); start = i + 1 }
+            }
+            continue;
+        }
+        var space = ch === 0x20 || ch === 0x0a || ch === 0x0d || ch === 0x09;
+        // a top-level number or literal ends at whitespace or where the next value opens
+        if (this.inScalar && (space || ch === 0x22 || ch === 0x7b || ch === 0x5b)) {
+            this.inScalar = false;
+            onValue(text.slice(start, i));
+            start = i;
+        }
+        if (space) continue;
+        if (ch === 0x22) this.inString = true;
+        else if (ch === 0x7b || ch === 0x5b) this.depth += 1;
+        else if (ch === 0x7d || ch === 0x5d) {
+            this.depth -= 1;
+            if (this.depth < 0) throw new Error('unbalanced ' + text[i] + ' in JSON input');
+            if (this.depth === 0) { onValue(text.slice(start, i + 1)); start = i + 1 }
+        }
+        else if (this.depth === 0) this.inScalar = true;
+    }
+    this.text = text.slice(start);
+    this.pos = this.text.length;
+}
+
+// a value not followed by whitespace is still pending at the end, as is a value cut short
+JsonSplitter.prototype.end = function end( onValue ) {
+    var text = (this.text + this.decoder.end()).trim();
+    if (text) onValue(text);
+    this.text = '';
+    this.pos = 0;
+}
+
+/*
+ * Split a stream of bytes into the bxson items it contains, either framed by 4-byte lengths or
+ * concatenated.  Concatenated items are found with skip(), which is retried only after the
+ * buffered bytes doubled so that a large item arriving in many small chunks is not rescanned.
+ * If lenient, malformed bytes are passed on as a last item, to be inspected, and the rest of the
+ * input is ignored.
+ */
+function ItemReader( framed, lenient ) {
+    this.framed = framed;
+    this.lenient = lenient;
+    this.chunks = [];
+    this.length = 0;
+    this.need = 1;
+    this.error = null;
+}
+
+ItemReader.prototype.write = function write( chunk, onItem ) {
+    if (this.error) return;
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+    if (this.length >= this.need) this._split(onItem, false);
+}
+
+ItemReader.prototype.end = function end( onItem ) {
+    if (this.length > 0) this._split(onItem, true);
+    if (this.error) throw this.error;
+    if (this.length > 0) throw new Error('truncated input, ' + this.length + ' bytes left over');
+}
+
+ItemReader.prototype._split = function _split( onItem, atEnd ) {
+    var buf = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks, this.length);
+    var pos = 0, end;
+    while (pos < buf.length) {
+        if (this.framed) {
+            if (buf.length - pos < HEADER_LENGTH) { this.need = HEADER_LENGTH; break }
+            end = pos + HEADER_LENGTH + buf.readUInt32BE(pos);
+            if (end > buf.length) { this.need = end - pos; break }
+            pos += HEADER_LENGTH;
+        }
+        else {
+            try { end = bjson.skip(buf, pos) }
+            catch (err) {
+                if (!atEnd && isIncomplete(err)) { this.need = 2 * (buf.length - pos); break }
+                if (!this.lenient) throw err;
+                this.error = err;
+                end = buf.length;
+            }
+        }
+        onItem(buf.slice(pos, end));
+        pos = end;
+    }
+    if (pos >= buf.length) this.need = 1;
+    buf = buf.slice(pos);
+    this.chunks = buf.length ? [buf] : [];
+    this.length = buf.length;
+}
+
+// the errors of items that end past the end of the bytes so far
+function isIncomplete( err ) {
+    return err instanceof bjson.DecodeError && /^truncated|runs past end/.test(err.reason);
+}
+
+// list each typecode of an item with its offset, bytes, length and value, nested items indented
+function dumpItem( bytes, baseOffset ) {
+    var tokens = bjson.inspect(bytes), lines = [];
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i];
+        var hex = bytes.slice(token.offset, token.offset + Math.min(token.size, 8)).toString('hex').replace(/(..)(?!$)/g, '$1 ');
+        if (token.size > 8) hex += ' ..';
+        var depth = token.path.length + (token.key ? 1 : 0);
+        var line = pad(((baseOffset || 0) + token.offset).toString(16), 8, '0') + '  ' + padRight(hex, 27) +
+            new Array(depth + 1).join('  ') + token.type;
+        // null, undefined, true and false are named by their type
+        if (token.value !== undefined && (token.typecode < 0x40 || token.typecode > 0x43)) {
+            line += '  ' + truncate(formatValue(token.value), 60);
+        }
+        if (token.error) line += '  ** ' + token.error;
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+function formatValue( value ) {
+    if (Buffer.isBuffer(value)) return '<Buffer ' + value.toString('hex') + '>';
+    if (value instanceof Date) return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    if (typeof value === 'bigint') return String(value) + 'n';
+    if (value instanceof bjson.Extension) return '<Extension ' + value.tag + ' ' + value.bytes.toString('hex') + '>';
+    if (value && typeof value === 'object') return Object.prototype.toString.call(value).slice(8, -1) + ' ' + toJson(value);
+    return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+function truncate( str, len ) {
+    return str.length <= len ? str : str.slice(0, len - 3) + '...';
+}
+function pad( str, len, ch ) {
+    while (str.length < len) str = ch + str;
+    return str;
+}
+function padRight( str, len ) {
+    while (str.length < len) str += ' ';
+    return str;
+}
+
+// tally the bytes of each type, and the size of the same items as JSON
+function Stats( ) {
+    this.items = 0;
+    this.bytes = 0;
+    this.jsonBytes = 0;
+    this.types = {};
+}
+
+Stats.prototype.add = function add( bytes ) {
+    var tokens = bjson.inspect(bytes);
+    for (var i = 0; i < tokens.length; i++) {
+        // tally eg all T_STRINGI+N immediate-length strings together
+        var name = tokens[i].type.replace(/\+\d+$/, '');
+        var entry = this.types[name] || (this.types[name] = { count: 0, bytes: 0 });
+        entry.count += 1;
+        entry.bytes += tokens[i].size;
+    }
+    this.items += 1;
+    this.bytes += bytes.length;
+    this.jsonBytes += Buffer.byteLength(toJson(bjson.decode(bytes))) + 1;
+}
+
+Stats.prototype.report = function report( ) {
+    var self = this;
+    var lines = [
+        'items   ' + this.items,
+        'bxson   ' + this.bytes + ' bytes',
+        'json    ' + this.jsonBytes + ' bytes (as NDJSON), bxson is ' + percent(this.bytes, this.jsonBytes) + ' of json',
+        '',
+        padRight('type', 16) + pad('count', 10, ' ') + pad('bytes', 14, ' ') + pad('%', 8, ' '),
+    ];
+    var names = Object.keys(this.types).sort(function(a, b) { return self.types[b].bytes - self.types[a].bytes });
+    for (var i = 0; i < names.length; i++) {
+        var entry = this.types[names[i]];
+        lines.push(padRight(names[i], 16) + pad(String(entry.count), 10, ' ') + pad(String(entry.bytes), 14, ' ') +
+            pad(percent(entry.bytes, this.bytes), 8, ' '));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function percent( part, total ) {
+    return (total ? (100 * part / total).toFixed(1) : '0.0') + '%';
+}
@@ -12,17 +12,42 @@
 
 module.exports = {
     encode: encode,
+    encodeInto: encodeInto,
+    encodedLength: encodedLength,
     decode: decode,
+    decodeAt: decodeAt,
+    decodeAll: decodeAll,
+    decodeIterator: decodeIterator,
+    skip: skip,
+    get: get,
+    inspect: inspect,
+    fromJSON: fromJSON,
+    toJSON: toJSON,
+    compile: compile,
+    isCanonical: isCanonical,
+    encodeKey: encodeKey,
+    decodeKey: decodeKey,
+    compare: compareBytes,
+    createEncodeStream: createEncodeStream,
+    createDecodeStream: createDecodeStream,
+    addExtension: addExtension,
+    removeExtension: removeExtension,
+    Extension: Extension,
+    DecodeError: DecodeError,
+    EncodeError: EncodeError,
 }
 
+var util = require('util');
 var PushBuffer = require('./pushbuf');
 
+var fromBuf = eval('parseFloat(process.versions.node) > 6 ? Buffer.from : Buffer');
+
 /*
  * The typecodes are designed to simplify coding, and are divided into two categories:  fixed-length
  * types and variable-length types. Fixed-length types designate data whose extents are implied by
  * the typecode.  Variable-length types are for data whose extents are stored separately as length
  * data.  As an optimization, the length of some variable-length data is packed into unused bits in
- * the typecode.  For transport, prefix the encoded bytes with a 4-byte length.
+ * the typecode.  For transport, prefix the encoded bytes with a 4-byte length (see stream.js).
  *
  * Json types: null, true, false, number, string, array, object
  *
@@ -34,6 +59,7 @@ var PushBuffer = require('./pushbuf');
 
 // 00xxxxxx: immediate-value integers -32..31
 var IMMED_RANGE = 32;           // -32 .. 31
+var MAX_SAFE_INTEGER = 0x1fffffffffffff;    // 2^53 - 1, Number.MAX_SAFE_INTEGER
 var T_INTI      = 0x00 + 0;     // 00xxxxxx     // 2-s complement signed 6-bit integer -32..31
 
 // 01xxxxxx: fixed-length types (64 total)
@@ -46,11 +72,34 @@ var T_FALSE     = 0x42;         // 01000010
 var T_TRUE      = 0x43;         // 01000011 = T_FALSE | 1
 var T_UINTB     = 0x44;         // 010001xx
 var T_NEGINTB   = 0x48;         // 010010xx
-var T_VARINT    = 0x4C;         // 01001100 experimental positive variable-length int
-var T_NEGVARINT = 0x4D;         // 01001101 experimental negative varint
+var T_VARINT    = 0x4C;         // 01001100 positive variable-length int, LEB128 magnitude
+var T_NEGVARINT = 0x4D;         // 01001101 negative varint
 var T_FLOAT32   = 0x4E;         // 01001110
 var T_FLOAT64   = 0x4F;         // 01001111
-// 48 other codes unassigned    // 01{01,10,11}tttt
+var T_UINT48    = 0x50;         // 01010000 6-byte unsigned int, for ints above 32 bits
+var T_NEGINT48  = 0x51;         // 01010001 6-byte negative int
+var T_BIGINT64  = 0x52;         // 01010010 BigInt, 8-byte twos-complement
+var T_BIGINT    = 0x53;         // 01010011 BigInt, followed by a bytes item of the twos-complement value
+var T_DATE      = 0x54;         // 01010100 Date, 8-byte float milliseconds since the epoch
+var T_STRDEF    = 0x55;         // 01010101 followed by a string to add to the back-reference table
+var T_BIGVARINT = 0x56;         // 01010110 positive BigInt varint, LEB128 magnitude
+var T_NEGBIGVARINT = 0x57;      // 01010111 negative BigInt varint
+var T_REFS      = 0x58;         // 01011000 followed by an item whose containers are numbered for T_OBJREFB
+var T_UINT56    = 0x59;         // 01011001 7-byte unsigned int, for ints above 48 bits
+var T_NEGINT56  = 0x5A;         // 01011010 7-byte negative int
+// 37 other codes unassigned    // 01{01,10,11}tttt
+
+// Varints are stored LEB128: the magnitude in 7-bit groups, least significant first, with the
+// high bit set on all but the last byte.  Eg 300 = 0x12C is stored as [0xAC, 0x02].  Number
+// varints are at most 8 bytes and 2^53-1, BigInt varints may be of any length.
+var MAX_VARINT_BYTES = 8;
+
+// payload bytes following each fixed-length typecode, NaN if not supported
+var FIXED_SIZES = [
+    0, 0, 0, 0,  1, 2, 4, 8,  1, 2, 4, 8,  0, 0, 4, 8,
+    6, 6, 8, 0,  8, 0, 0, 0,  0, 7, 7,
+];
+for (var i = FIXED_SIZES.length; i < 64; i++) FIXED_SIZES[i] = NaN;
 
 // 10xxxxxx: indirectly specified length-counted types with length in the following bytes (16 total)
 // 10<tttt><ll> - varlen type length bytes (16 total)
@@ -62,7 +111,43 @@ var T_STRINGB   = 0x80;         // 10<00>00xx
 var T_BYTESB    = 0x90;         // 10<01>00xx
 var T_ARRAYB    = 0xA0;         // 10<10>00xx
 var T_OBJECTB   = 0xB0;         // 10<11>00xx
-// 12 other codes unassigned 10<tt{01,10,11}>xx
+var T_STRREFB   = 0x84;         // 10<00>01xx back-reference to a T_STRDEF string, length bytes hold the index
+var T_EXTB      = 0x88;         // 10<00>10xx application-defined extension type: length, tag byte, data
+var T_TYPEDB    = 0x8C;         // 10<00>11xx typed array: byte length, element type byte, little-endian data
+var T_MAPB      = 0x94;         // 10<01>01xx Map, length is the number of key-value pairs that follow
+var T_SETB      = 0x98;         // 10<01>10xx Set, length is the number of values that follow
+var T_OBJREFB   = 0x9C;         // 10<01>11xx back-reference to an object, array, Map or Set, length bytes hold the index
+var T_TABLEB    = 0xA4;         // 10<10>01xx array of objects with the same keys, length is the number of rows
+// 5 other codes unassigned 10<tt{01,10,11}>xx
+
+// the assigned 10<tt{01,10,11}>xx types
+var LENGTH_TYPES = {};
+LENGTH_TYPES[T_STRREFB] = true;
+LENGTH_TYPES[T_EXTB] = true;
+LENGTH_TYPES[T_TYPEDB] = true;
+LENGTH_TYPES[T_MAPB] = true;
+LENGTH_TYPES[T_SETB] = true;
+LENGTH_TYPES[T_OBJREFB] = true;
+LENGTH_TYPES[T_TABLEB] = true;
+
+// stand-ins so Map and Set can be switch cases even where they do not exist
+var MapType = typeof Map === 'function' ? Map : function NoMap() {};
+var SetType = typeof Set === 'function' ? Set : function NoSet() {};
+
+// typed array element type bytes, by constructor name.  Not all versions of node have all types.
+var TYPED_ARRAYS = [
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+    'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'DataView',
+];
+var typedArrayTypes = [];
+for (var i = 0; i < TYPED_ARRAYS.length; i++) if (global[TYPED_ARRAYS[i]]) typedArrayTypes[i + 1] = global[TYPED_ARRAYS[i]];
+
+// arrays of 2 or more same-keyed objects are written as tables
+var MIN_TABLE_ROWS = 2;
+
+// strings of 2 to 64 bytes are back-referenced, shorter ones are no larger than the reference
+var MIN_STRREF_LENGTH = 2;
+var MAX_STRREF_LENGTH = 64;
 
 // 11xxxxxx: directly specified "immediate-length" types (4 total)
 var MASK_SHORTLEN = 0x0F;
@@ -72,43 +157,232 @@ var T_ARRAYI    = 0xA0 | 0x40;  // 11<10>xxxx
 var T_OBJECTI   = 0xB0 | 0x40;  // 11<11>xxxx
 
 
-function encode( item ) {
+function encode( item, options ) {
     var buf = new PushBuffer();
-    encodeItem(buf, item);
+    encodeValue(buf, item, options);
     return buf.slice();
 }
 
-function decode( bytes ) {
+function encodeValue( buf, item, options ) {
+    var st = new EncodeState(options);
+    if (st.replacing) item = replaceValue(st, { '': item }, '', item);
+    if (st.objects) buf.push(T_REFS);
+    encodeItem(buf, item, st);
+}
+
+/*
+ * Encode in place into the target Buffer or Uint8Array starting at offset, and return the offset
+ * following the encoded item.  If the item does not fit a RangeError is thrown, and the target
+ * bytes past offset may have been overwritten.
+ */
+function encodeInto( item, target, offset, options ) {
+    offset = offset || 0;
+    if (!(offset >= 0 && offset <= target.length)) throw new RangeError(offset + ': offset out of range');
+    if (!Buffer.isBuffer(target)) target = fromBuf(target.buffer, target.byteOffset, target.byteLength);
+    var buf = new PushBuffer(target);
+    buf.end = offset;
+    buf.capacity = target.length;
+    buf.fixed = true;
+    encodeValue(buf, item, options);
+    return buf.end;
+}
+
+// the item is sized by running the encoder on a SizeBuffer, which counts the bytes without storing them
+function encodedLength( item, options ) {
+    var buf = new SizeBuffer();
+    encodeValue(buf, item, options);
+    return buf.end;
+}
+
+// stand-in for the PushBuffer write methods used by the encoders
+function SizeBuffer( ) {
+    this.buf = null;
+    this.end = 0;
+}
+SizeBuffer.prototype.push = function push( ) { this.end += arguments.length };
+SizeBuffer.prototype.append = SizeBuffer.prototype.push;
+SizeBuffer.prototype.reserve = function reserve( n ) {};
+SizeBuffer.prototype.appendFloatBE = function appendFloatBE( v ) { this.end += 4 };
+SizeBuffer.prototype.appendDoubleBE = function appendDoubleBE( v ) { this.end += 8 };
+SizeBuffer.prototype.pushString = function pushString( str, len ) { this.end += len };
+SizeBuffer.prototype.pushBytes = function pushBytes( bytes ) { this.end += bytes.length };
+SizeBuffer.prototype.pushVarint = function pushVarint( v ) {
+    for (this.end += 1; v >= 128; v = Math.floor(v / 128)) this.end += 1;
+};
+
+// per-call encode settings
+function EncodeState( options ) {
+    options = options || {};
+    this.dates = !!options.dates;
+    this.stringRefs = !!options.stringRefs;
+    this.float32 = !!options.float32;
+    this.varints = !!options.varints;
+    this.strings = this.stringRefs ? Object.create(null) : null;
+    this.stringCount = 0;
+    this.replacer = typeof options.replacer === 'function' ? options.replacer : null;
+    this.replacerKeys = Array.isArray(options.replacer) ? replacerKeys(options.replacer) : null;
+    this.replacing = !!(this.replacer || this.replacerKeys);
+    // canonical encoding has exactly one form for each value, so the size-tuning options are off
+    this.canonical = !!options.canonical;
+    if (this.canonical) this.stringRefs = this.float32 = this.varints = false;
+    // the containers being encoded, to find cycles, and with refs the index of every container
+    this.ancestors = [];
+    this.objects = (options.refs && !this.canonical) ? new Map() : null;
+    // objects are encoded with the slower encodeReplacedObject to replace or sort their keys
+    this.slowObjects = this.replacing || this.canonical;
+    // tables store the rows of an array by column, and are not used for replaced or sorted keys
+    this.tables = !!options.tables && !this.slowObjects && !this.objects;
+}
+
+function decode( bytes, options ) {
+    return decodeValue(new PushBuffer(bytes), options);
+}
+
+// decode the item at buf.pos, and leave buf.pos at the byte following it
+function decodeValue( buf, options ) {
+    var st = new DecodeState(options);
+    var item = st.fields ? decodeFields(buf, st, st.fields) : decodeItem(buf, st);
+    if (!options || typeof options.reviver !== 'function') return item;
+    return reviveValue({ '': item }, '', item, options.reviver, st.objects ? new Map() : null);
+}
+
+/*
+ * Several items encoded back to back can be decoded one at a time.  Each item is a separate
+ * message with its own string references.
+ */
+function decodeAt( bytes, offset, options ) {
     var buf = new PushBuffer(bytes);
-    return decodeItem(buf);
+    buf.pos = offset || 0;
+    var value = decodeValue(buf, options);
+    return { value: value, end: buf.pos };
+}
+
+function decodeAll( bytes, options ) {
+    var buf = new PushBuffer(bytes), items = [];
+    while (buf.pos < buf.end) items.push(decodeValue(buf, options));
+    return items;
+}
+
+function decodeIterator( bytes, options ) {
+    return new DecodeIterator(bytes, options);
+}
+function DecodeIterator( bytes, options ) {
+    this.buf = new PushBuffer(bytes);
+    this.options = options;
+}
+// the iterator is done after an error, the rest of the input can not be found
+DecodeIterator.prototype.next = function next( ) {
+    var buf = this.buf;
+    if (buf.pos >= buf.end) return { value: undefined, done: true };
+    try { return { value: decodeValue(buf, this.options), done: false } }
+    catch (err) { buf.pos = buf.end; throw err }
+}
+if (typeof Symbol === 'function' && Symbol.iterator) DecodeIterator.prototype[Symbol.iterator] = function() { return this };
+
+/*
+ * Per-call decode settings and running totals.  The limits guard against untrusted input that
+ * would exhaust memory or the stack, and are checked before anything is allocated.
+ */
+// deep enough for any sensible data, shallow enough to fail before the stack overflows
+var DEFAULT_MAX_DEPTH = 1000;
+
+function DecodeState( options ) {
+    options = options || {};
+    this.maxDepth = options.maxDepth >= 0 ? options.maxDepth : DEFAULT_MAX_DEPTH;
+    this.maxArrayLength = limitOption(options.maxArrayLength);
+    this.maxObjectKeys = limitOption(options.maxObjectKeys);
+    this.maxStringLength = limitOption(options.maxStringLength);
+    this.maxTotalItems = limitOption(options.maxTotalItems);
+    this.safeKeys = options.safeKeys !== false;
+    this.nullPrototype = !!options.nullPrototype;
+    this.int64AsBigInt = !!options.int64AsBigInt;
+    this.fields = options.fields ? fieldTree(options.fields) : null;
+    this.columns = !!options.columns;
+    this.strings = [];
+    this.objects = null;
+    this.depth = 0;
+    this.totalItems = 0;
+}
+function limitOption( limit ) {
+    return limit >= 0 ? limit : Infinity;
 }
 
-function encodeItem( buf, item ) {
+/*
+ * Canonical encoding sorts object keys in utf8 byte order, uses the shortest lengths and number
+ * forms, encodes -0 as 0 and all NaNs the same, and rejects undefined.  Bytes are canonical if
+ * they are exactly what canonical encoding would produce for the value they decode into.
+ */
+function isCanonical( bytes ) {
+    try {
+        var item = decode(bytes);
+        var canonical = encode(item, { canonical: true, dates: true });
+    } catch (err) {
+        return false;
+    }
+    return canonical.length === bytes.length && compareBytes(canonical, bytes) === 0;
+}
+
+// the sort keys are a separate encoding, loaded on demand
+function encodeKey( item ) {
+    return require('./sortkey').encodeKey(item);
+}
+function decodeKey( bytes ) {
+    return require('./sortkey').decodeKey(bytes);
+}
+
+// the streams are loaded on demand, they are not needed for plain encode/decode
+function createEncodeStream( options ) {
+    var Stream = require('./stream');
+    return new Stream.EncodeStream(options);
+}
+function createDecodeStream( options ) {
+    var Stream = require('./stream');
+    return new Stream.DecodeStream(options);
+}
+
+function encodeItem( buf, item, st ) {
     switch (typeof item) {
     case 'boolean':     buf.push(item ? T_TRUE : T_FALSE); break;
-    case 'number':      encodeNumber(buf, item); break;
-    case 'string':      encodeString(buf, item); break;
+    case 'number':      encodeNumber(buf, item, st); break;
+    case 'string':      st.stringRefs ? encodeStringRef(buf, item, st) : encodeString(buf, item); break;
     case 'object':
         if (item === null) buf.push(T_NULL);
-        else if (typeof item.toJSON === 'function' && item.constructor !== Buffer) encodeItem(buf, item.toJSON());
+        else if (extensions.length && encodeExtension(buf, item)) break;
+        else if (item.constructor === Date && st.dates) encodeDate(buf, item);
+        else if (typeof item.toJSON === 'function' && item.constructor !== Buffer) encodeItem(buf, item.toJSON(), st);
         else switch (item.constructor) {
         case Object:
+            if (st.slowObjects) { encodeReplacedObject(buf, item, st); break; }
+            if (enterObject(buf, item, st)) break;
             // it is faster to walk the keys twice than to call Object.keys
             var len = 0; for (var key in item) len += 1;
             encodeType(buf, len, T_OBJECTI, T_OBJECTB);
-            for (var key in item) encodeString(buf, key), encodeItem(buf, item[key]);
+            try {
+                if (st.stringRefs) for (var key in item) encodeStringRef(buf, key, st), encodeItem(buf, item[key], st);
+                else for (var key in item) encodeString(buf, key), encodeItem(buf, item[key], st);
+            } catch (err) { throw addErrorPath(err, key) }
+            st.ancestors.pop();
             break;
-        case Array:     encodeArray(buf, item); break;
+        case Array:     encodeArray(buf, item, st); break;
         //case Date:      encodeString(buf, item.toISOString()); break; // has toJSON
         case Buffer:    encodeBytes(buf, item); break;
+        case Extension: writeExtension(buf, item.tag, item.bytes); break;
+        case MapType:   encodeMap(buf, item, st); break;
+        case SetType:   encodeSet(buf, item, st); break;
         case Boolean:
         case Number:
         case String:
-                        encodeItem(buf, item.valueOf()); break;
-        default:        encodeObject(buf, item); break;
+                        encodeItem(buf, item.valueOf(), st); break;
+        default:
+            var typedTag = typedArrayTypes.indexOf(item.constructor);
+            if (typedTag > 0) encodeTypedArray(buf, item, typedTag);
+            else encodeObject(buf, item, st);
+            break;
         }
         break;
-    default: // bigint (exception), symbol (undef), function (undef)
+    case 'bigint':      st.varints ? encodeBigVarint(buf, item) : encodeBigInt(buf, item); break;
+    default: // symbol (undef), function (undef)
+        if (st.canonical) throw new EncodeError(typeof item + ': not allowed in canonical encoding');
         // hack: convert any unrecognized types to null (sort of like JSON in arrays;
         // JSON converts unknowns to undefined, which are omitted from objects)
         // buf.push(T_NULL); break;
@@ -117,7 +391,10 @@ function encodeItem( buf, item ) {
     }
 }
 
-function decodeItem( buf ) {
+function decodeItem( buf, st ) {
+    var offset = buf.pos;
+    if (offset >= buf.end) throw new DecodeError('truncated input, no typecode', offset);
+    if (++st.totalItems > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, offset);
     var type = buf.shiftBE(1);
     if (!(type & 0x80)) {
         // fixed-length types
@@ -125,7 +402,9 @@ function decodeItem( buf ) {
             // inlined signed twos-complement integer
             return (type & 0x3F) << 26 >> 26;
         }
-        else switch (type & 0x3f) {
+        var need = FIXED_SIZES[type & 0x3f];
+        if (buf.pos + need > buf.end) throw truncatedError(buf, offset, type, need);
+        switch (type & 0x3f) {
         case 0: return null;
         case 1: return undefined;
         case 2: return false;
@@ -133,27 +412,62 @@ function decodeItem( buf ) {
         case 4: return buf.shiftBE(1);  // if signed twos complement then `shiftBE(1) << 24 >> 24` etc
         case 5: return buf.shiftBE(2);
         case 6: return buf.shiftBE(4);
-        case 7: return buf.shiftBE(8);
+        case 7: return decodeLongUint(buf, st, 8, offset, type);
         case 8: return -buf.shiftBE(1);
         case 9: return -buf.shiftBE(2);
         case 10: return -buf.shiftBE(4);
-        case 11: return -buf.shiftBE(8);
-        //case 12: return buf.shiftVarint();
-        //case 13: return -buf.shiftVarint();
+        case 11: return -decodeLongUint(buf, st, 8, offset, type);
+        case 12: return decodeVarint(buf, offset, type);
+        case 13: return -decodeVarint(buf, offset, type);
         case 14: return buf.shiftFloatBE();
         case 15: return buf.shiftDoubleBE();
+        case 16: return buf.shiftBE(6);
+        case 17: return -buf.shiftBE(6);
+        case 18: return decodeBigInt64(buf, offset, type);
+        case 19: return decodeBigInt(buf, st, offset, type);
+        case 20: return new Date(buf.shiftDoubleBE());
+        case 21: return decodeStringDef(buf, st, offset, type);
+        case 22: return decodeBigVarint(buf, st, offset, type);
+        case 23: return -decodeBigVarint(buf, st, offset, type);
+        case 24: return decodeRefs(buf, st, offset, type);
+        case 25: return decodeLongUint(buf, st, 7, offset, type);
+        case 26: return -decodeLongUint(buf, st, 7, offset, type);
         default:
-            throw new Error(type + ': not supported');
+            throw new DecodeError('typecode not supported', offset, type);
         }
     }
     else {
         // variable-length types
-        var len = (type & 0x40) ? (type & MASK_SHORTLEN) : buf.shiftBE(1 << (type & MASK_BYTELEN));
+        if (!(type & 0x40)) {
+            if ((type & 0x0C) && !LENGTH_TYPES[type & 0xFC]) throw new DecodeError('typecode not supported', offset, type);
+            var lenBytes = 1 << (type & MASK_BYTELEN);
+            if (buf.pos + lenBytes > buf.end) throw truncatedError(buf, offset, type, lenBytes);
+        }
+        var len = (type & 0x40) ? (type & MASK_SHORTLEN) : buf.shiftBE(lenBytes);
+        if (!(type & 0x40) && (type & 0x0C)) return decodeLengthType(buf, st, len, offset, type);
+        // every contained item is at least 1 byte, every object property at least 2
+        var minBytes = (type & 0x30) === 0x30 ? 2 * len : len;
+        if (buf.pos + minBytes > buf.end) {
+            throw new DecodeError('length ' + len + ' runs past end of input', offset, type);
+        }
+        if (type & 0x20) {
+            if (st.depth >= st.maxDepth) throw limitError('maxDepth', st.maxDepth, offset, type);
+            var count = (type & 0x10) ? 2 * len : len;
+            if (st.totalItems + count > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, offset, type);
+        }
         switch ((type & 0x30) >> 4) {
-        case 0: return buf.shiftString(len);
-        case 1: return buf.shiftBytes(len);
-        case 2: return decodeArray(buf, len);
-        case 3: return decodeObject(buf, len);
+        case 0:
+            if (len > st.maxStringLength) throw limitError('maxStringLength', st.maxStringLength, offset, type);
+            return buf.shiftString(len);
+        case 1:
+            if (len > st.maxStringLength) throw limitError('maxStringLength', st.maxStringLength, offset, type);
+            return buf.shiftBytes(len);
+        case 2:
+            if (len > st.maxArrayLength) throw limitError('maxArrayLength', st.maxArrayLength, offset, type);
+            return decodeArray(buf, len, st);
+        case 3:
+            if (len > st.maxObjectKeys) throw limitError('maxObjectKeys', st.maxObjectKeys, offset, type);
+            return decodeObject(buf, len, st);
         }
     }
 }
@@ -175,27 +489,40 @@ function encodeLenCode( buf, len, typeB ) {
 }
 
 // predefined-length ints are faster to encode and to decode that varints
-function encodeNumber( buf, item ) {
+function encodeNumber( buf, item, st ) {
+    if (st.canonical) {
+        // -0 is encoded as 0, and all NaNs as the same NaN
+        if (item === 0) item = 0;
+        else if (item !== item) return buf.push(T_FLOAT32, 0x7f, 0xc0, 0, 0);
+    }
     if ((item | 0) !== item || 1/item === -Infinity) {
-        buf.reserve(10);
-        buf.append(T_FLOAT64);
-        buf.appendDoubleBE(item);
+        if (isLongInt(item)) return st.varints ? encodeVarint(buf, item) : encodeLongInt(buf, item);
+        if (fround(item) === item || item !== item || (st.float32 && Math.floor(item) !== item)) {
+            // floats that survive the conversion exactly (and NaN) fit in 4 bytes, and with float32
+            // all non-integers.  Integers too large for a float32 would overflow to Infinity.
+            buf.reserve(5);
+            buf.append(T_FLOAT32);
+            buf.appendFloatBE(item);
+        } else {
+            buf.reserve(9);
+            buf.append(T_FLOAT64);
+            buf.appendDoubleBE(item);
+        }
     }
     else if (item >= -IMMED_RANGE && item < IMMED_RANGE) {
         // encode as an immediate twos-complement integer
         buf.push(T_INTI + (item & 0x3f));
     }
+    else if (st.varints) {
+        encodeVarint(buf, item);
+    }
     else {
         // encode sign and magnitude separately
-        var msb, typeB = (item < 0) ? (item = -item, T_NEGINTB) : T_UINTB;
+        var typeB = (item < 0) ? (item = -item, T_NEGINTB) : T_UINTB;
         if (item <= 0xffff) {
             ((item & 0xff00) === 0) ? buf.push(typeB, item) : buf.push(typeB + 1, item >> 8, item);
         } else {
-            var msb = item / 0x100000000;
-            (msb < 1) ? buf.push(typeB + 2, item >> 24, item >> 16, item >> 8, item) :
-            /* istanbul ignore next */ // next line never runs, because floats above handle large ints
-            // nb: this code mis-handles 1.5e100, both msb and lsb are 0
-            (buf.push(typeB + 3, msb >> 24, msb >> 16, msb >> 8, msb), buf.push(item >> 24, item >> 16, item >> 8, item));
+            buf.push(typeB + 2, item >> 24, item >> 16, item >> 8, item);
         }
 /**
         if (item >= -128 && item < 128) {
@@ -211,6 +538,394 @@ function encodeNumber( buf, item ) {
     }
 }
 
+var fround = Math.fround || function(v) { var f = new Float32Array(1); f[0] = v; return f[0] };
+
+// integers outside the int32 range that are still exactly representable, ie not -0 and below 2^53
+function isLongInt( item ) {
+    return item === Math.floor(item) && item <= MAX_SAFE_INTEGER && item >= -MAX_SAFE_INTEGER && item !== 0;
+}
+// encode the sign and the magnitude in the fewest of 4, 6 or 7 bytes
+function encodeLongInt( buf, item ) {
+    var neg = item < 0 ? (item = -item, true) : false;
+    var hi = Math.floor(item / 0x100000000), lo = item >>> 0;
+    if (hi === 0) buf.push(neg ? T_NEGINTB + 2 : T_UINTB + 2, lo >>> 24, lo >> 16, lo >> 8, lo);
+    else if (hi <= 0xffff) buf.push(neg ? T_NEGINT48 : T_UINT48, hi >> 8, hi, lo >>> 24, lo >> 16, lo >> 8, lo);
+    else buf.push(neg ? T_NEGINT56 : T_UINT56, hi >> 16, hi >> 8, hi, lo >>> 24, lo >> 16, lo >> 8, lo);
+}
+
+// read a 7- or 8-byte unsigned int, refuse values that a double cannot hold exactly
+// unless allowed to return them as BigInt
+function decodeLongUint( buf, st, len, offset, type ) {
+    var hi = buf.shiftBE(len - 4), lo = buf.shiftBE(4);
+    if (hi > 0x1fffff) {
+        if (!st.int64AsBigInt) throw new DecodeError('integer too large for a Number', offset, type);
+        checkBigIntSupport(offset, type);
+        return BigInt(hi) * BigInt(0x100000000) + BigInt(lo);
+    }
+    return hi * 0x100000000 + lo;
+}
+
+function encodeVarint( buf, item ) {
+    (item < 0) ? (buf.push(T_NEGVARINT), buf.pushVarint(-item)) : (buf.push(T_VARINT), buf.pushVarint(item));
+}
+
+function decodeVarint( buf, offset, type ) {
+    var len = varintLength(buf, offset, type);
+    if (len > MAX_VARINT_BYTES) throw new DecodeError('varint longer than ' + MAX_VARINT_BYTES + ' bytes', offset, type);
+    var v = buf.shiftVarint();
+    if (v > MAX_SAFE_INTEGER) throw new DecodeError('integer too large for a Number', offset, type);
+    return v;
+}
+
+// count the varint bytes, up to and including the one with the high bit clear
+function varintLength( buf, offset, type ) {
+    for (var i = buf.pos; i < buf.end && buf.buf[i] >= 128; i++) ;
+    if (i >= buf.end) throw new DecodeError('truncated input, unterminated varint', offset, type);
+    return i + 1 - buf.pos;
+}
+
+function encodeBigVarint( buf, item ) {
+    var big128 = BigInt(128), big127 = BigInt(127);
+    (item < 0) ? (buf.push(T_NEGBIGVARINT), item = -item) : buf.push(T_BIGVARINT);
+    for ( ; item >= big128; item >>= BigInt(7)) buf.push(Number(item & big127) | 0x80);
+    buf.push(Number(item));
+}
+
+// the varint bytes count against maxStringLength like the bytes of a T_BIGINT.  The 7-bit groups
+// are joined into one binary string, converting group by group would take quadratic time.
+function decodeBigVarint( buf, st, offset, type ) {
+    checkBigIntSupport(offset, type);
+    var len = varintLength(buf, offset, type);
+    if (len > st.maxStringLength) throw limitError('maxStringLength', st.maxStringLength, offset, type);
+    var groups = new Array(len);
+    for (var i = 0; i < len; i++) groups[len - 1 - i] = (buf.buf[buf.pos + i] | 0x80).toString(2).slice(1);
+    buf.pos += len;
+    return BigInt('0b' + groups.join(''));
+}
+
+// BigInts that fit into 64 bits are stored in 8 bytes, larger ones in as many bytes as needed
+// The BigInt() calls are only made if BigInt values are present, older node do not have it.
+function encodeBigInt( buf, item ) {
+    if (BigInt.asIntN(64, item) === item) {
+        var u = BigInt.asUintN(64, item), hi = Number(u >> BigInt(32)), lo = Number(u & BigInt(0xffffffff));
+        buf.push(T_BIGINT64, hi >> 24, hi >> 16, hi >> 8, hi, lo >> 24, lo >> 16, lo >> 8, lo);
+    } else {
+        // the minimal twos-complement byte count leaves room for the sign bit
+        var bits = (item < 0 ? -item - BigInt(1) : item).toString(2).length;
+        var nbytes = (bits >> 3) + 1;
+        var hex = BigInt.asUintN(nbytes * 8, item).toString(16);
+        while (hex.length < 2 * nbytes) hex = '0' + hex;
+        buf.push(T_BIGINT);
+        encodeBytes(buf, fromBuf(hex, 'hex'));
+    }
+}
+
+function decodeBigInt64( buf, offset, type ) {
+    checkBigIntSupport(offset, type);
+    var hi = buf.shiftBE(4), lo = buf.shiftBE(4);
+    return BigInt.asIntN(64, BigInt(hi) * BigInt(0x100000000) + BigInt(lo));
+}
+
+function decodeBigInt( buf, st, offset, type ) {
+    checkBigIntSupport(offset, type);
+    if (buf.pos >= buf.end) throw truncatedError(buf, offset, type, 1);
+    if (!isTypeAt(buf, T_BYTESI, T_BYTESB)) throw new DecodeError('BigInt value must be bytes', offset, type);
+    var bytes = decodeItem(buf, st);
+    if (!bytes.length) return BigInt(0);
+    var hex = '';
+    for (var i = 0; i < bytes.length; i++) hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    return BigInt.asIntN(bytes.length * 8, BigInt('0x' + hex));
+}
+
+function checkBigIntSupport( offset, type ) {
+    if (typeof BigInt !== 'function') throw new DecodeError('BigInt not supported', offset, type);
+}
+
+// the timestamp of an invalid Date is NaN, which also round-trips
+function encodeDate( buf, item ) {
+    buf.reserve(9);
+    buf.append(T_DATE);
+    buf.appendDoubleBE(item.getTime());
+}
+
+/*
+ * Extension types let the application encode its own classes.  Each extension is identified by
+ * a tag byte 0..255 and converts its values to and from bytes.  An extension matches items
+ * whose constructor is `type` or for which `test(item)` is true.  Unknown tags decode into an
+ * Extension holding the tag and the bytes, which re-encodes into the same extension type.
+ */
+var extensions = [];
+var extensionsByTag = {};
+
+function addExtension( ext ) {
+    if (!ext || !(ext.tag >= 0 && ext.tag <= 255 && ext.tag === (ext.tag | 0))) throw new Error('extension tag must be 0..255');
+    if (typeof ext.type !== 'function' && typeof ext.test !== 'function') throw new Error('extension needs a type or test function');
+    if (typeof ext.encode !== 'function' || typeof ext.decode !== 'function') throw new Error('extension needs encode and decode functions');
+    removeExtension(ext.tag);
+    ext = { type: ext.type, tag: ext.tag, test: ext.test, encode: ext.encode, decode: ext.decode };
+    extensions.push(ext);
+    extensionsByTag[ext.tag] = ext;
+}
+
+function removeExtension( tag ) {
+    var ext = extensionsByTag[tag];
+    if (ext) extensions.splice(extensions.indexOf(ext), 1);
+    delete extensionsByTag[tag];
+}
+
+function Extension( tag, bytes ) {
+    this.tag = tag;
+    this.bytes = bytes;
+}
+
+// encode the item if it is an extension type, return false if not
+function encodeExtension( buf, item ) {
+    var ext = findExtension(item);
+    return ext ? writeExtension(buf, ext.tag, ext.encode(item)) : false;
+}
+function findExtension( item ) {
+    for (var i = 0; i < extensions.length; i++) {
+        var ext = extensions[i];
+        if (ext.type ? item.constructor === ext.type : ext.test(item)) return ext;
+    }
+    return null;
+}
+function writeExtension( buf, tag, bytes ) {
+    encodeLenCode(buf, bytes.length, T_EXTB);
+    buf.push(tag);
+    buf.pushBytes(bytes);
+    return true;
+}
+
+function decodeExtension( buf, st, len, offset, type ) {
+    if (buf.pos + 1 + len > buf.end) throw new DecodeError('length ' + len + ' runs past end of input', offset, type);
+    if (len > st.maxStringLength) throw limitError('maxStringLength', st.maxStringLength, offset, type);
+    var tag = buf.shiftBE(1);
+    var bytes = buf.shiftBytes(len);
+    var ext = extensionsByTag[tag];
+    return ext ? ext.decode(bytes) : new Extension(tag, bytes);
+}
+
+// dispatch the 10<tt{01,10,11}>xx length-counted types
+function decodeLengthType( buf, st, len, offset, type ) {
+    switch (type & 0xFC) {
+    case T_STRREFB: return decodeStringRef(buf, st, len, offset, type);
+    case T_EXTB: return decodeExtension(buf, st, len, offset, type);
+    case T_TYPEDB: return decodeTypedArray(buf, st, len, offset, type);
+    case T_MAPB: return decodeMap(buf, st, len, offset, type);
+    case T_SETB: return decodeSet(buf, st, len, offset, type);
+    case T_OBJREFB: return decodeObjectRef(buf, st, len, offset, type);
+    case T_TABLEB: return decodeTable(buf, st, len, offset, type);
+    }
+}
+
+/*
+ * With the stringRefs option, the first occurrence of each short string or object key is
+ * written with a T_STRDEF prefix and added to a per-message table, and later occurrences are
+ * written as T_STRREFB back-references to their index in the table.
+ */
+function encodeStringRef( buf, item, st ) {
+    var len = PushBuffer.byteLength(item);
+    if (len >= MIN_STRREF_LENGTH && len <= MAX_STRREF_LENGTH) {
+        var ix = st.strings[item];
+        if (ix !== undefined) return encodeLenCode(buf, ix, T_STRREFB);
+        st.strings[item] = st.stringCount++;
+        buf.push(T_STRDEF);
+    }
+    encodeType(buf, len, T_STRINGI, T_STRINGB);
+    buf.pushString(item, len);
+}
+
+function decodeStringDef( buf, st, offset, type ) {
+    if (buf.pos >= buf.end) throw truncatedError(buf, offset, type, 1);
+    if (!isTypeAt(buf, T_STRINGI, T_STRINGB)) throw new DecodeError('string definition must be a string', offset, type);
+    var str = decodeItem(buf, st);
+    st.strings.push(str);
+    return str;
+}
+
+function decodeStringRef( buf, st, ix, offset, type ) {
+    if (ix >= st.strings.length) throw new DecodeError('string reference ' + ix + ' not defined', offset, type);
+    return st.strings[ix];
+}
+
+// test whether the next item has one of the given immediate- or byte-length typecodes
+function isTypeAt( buf, typeI, typeB ) {
+    var type = buf.buf[buf.pos];
+    return (type & 0xF0) === typeI || (type & 0xFC) === typeB;
+}
+
+/*
+ * Typed arrays and DataViews are written as a single block of bytes, tagged with the array type.
+ * The element bytes are stored little-endian, the native order of almost all hosts.
+ */
+function encodeTypedArray( buf, item, tag ) {
+    var bytes = new Uint8Array(item.buffer, item.byteOffset, item.byteLength);
+    encodeLenCode(buf, bytes.length, T_TYPEDB);
+    buf.push(tag);
+    var base = buf.end;
+    buf.pushBytes(bytes);
+    if (isBigEndian && item.BYTES_PER_ELEMENT > 1 && buf.buf) swapBytes(buf.buf, base, buf.end, item.BYTES_PER_ELEMENT);
+}
+
+function decodeTypedArray( buf, st, len, offset, type ) {
+    if (buf.pos + 1 + len > buf.end) throw new DecodeError('length ' + len + ' runs past end of input', offset, type);
+    if (len > st.maxStringLength) throw limitError('maxStringLength', st.maxStringLength, offset, type);
+    var tag = buf.shiftBE(1), ctor = typedArrayTypes[tag];
+    if (!ctor) throw new DecodeError('typed array type ' + tag + ' not supported', offset, type);
+    var size = ctor.BYTES_PER_ELEMENT || 1;
+    if (len % size) throw new DecodeError('typed array length ' + len + ' not a multiple of ' + size, offset, type);
+    // copy into a new ArrayBuffer, the input bytes may not be aligned for the element type
+    var bytes = new Uint8Array(len), base = buf.pos;
+    for (var i = 0; i < len; i++) bytes[i] = buf.buf[base + i];
+    buf.pos += len;
+    if (isBigEndian && size > 1) swapBytes(bytes, 0, len, size);
+    return new ctor(bytes.buffer);
+}
+
+var isBigEndian = require('os').endianness() === 'BE';
+function swapBytes( bytes, base, bound, size ) {
+    for (var i = base; i < bound; i += size) {
+        for (var j = 0; j < size / 2; j++) {
+            var tmp = bytes[i + j]; bytes[i + j] = bytes[i + size - 1 - j]; bytes[i + size - 1 - j] = tmp;
+        }
+    }
+}
+
+// Maps are encoded as their key-value pairs and Sets as their values, both in iteration order.
+// Map keys may be of any type.
+function encodeMap( buf, item, st ) {
+    if (enterObject(buf, item, st)) return;
+    if (st.canonical) encodeSortedEntries(buf, item, st, T_MAPB);
+    else {
+        encodeLenCode(buf, item.size, T_MAPB);
+        item.forEach(function(value, key) {
+            encodeItem(buf, key, st);
+            try { encodeItem(buf, st.replacing ? replaceValue(st, item, key, value) : value, st) }
+            catch (err) { throw addErrorPath(err, key) }
+        })
+    }
+    st.ancestors.pop();
+}
+
+function encodeSet( buf, item, st ) {
+    if (enterObject(buf, item, st)) return;
+    if (st.canonical) encodeSortedEntries(buf, item, st, T_SETB);
+    else {
+        encodeLenCode(buf, item.size, T_SETB);
+        var i = 0;
+        try { item.forEach(function(value) { encodeItem(buf, value, st); i += 1 }) }
+        catch (err) { throw addErrorPath(err, i) }
+    }
+    st.ancestors.pop();
+}
+
+// canonical Map entries and Set values are ordered by the encoded bytes of the keys and values
+function encodeSortedEntries( buf, item, st, typeB ) {
+    var entries = [];
+    item.forEach(function(value, key) {
+        var keyBuf = new PushBuffer();
+        encodeItem(keyBuf, typeB === T_MAPB ? key : value, st);
+        entries.push({ bytes: keyBuf.slice(), key: key, value: value });
+    })
+    entries.sort(function(a, b) { return compareBytes(a.bytes, b.bytes) });
+    encodeLenCode(buf, entries.length, typeB);
+    for (var i = 0; i < entries.length; i++) {
+        buf.pushBytes(entries[i].bytes);
+        if (typeB === T_MAPB) {
+            var value = entries[i].value;
+            encodeItem(buf, st.replacing ? replaceValue(st, item, entries[i].key, value) : value, st);
+        }
+    }
+}
+
+function compareBytes( a, b ) {
+    var len = Math.min(a.length, b.length);
+    for (var i = 0; i < len; i++) if (a[i] !== b[i]) return a[i] - b[i];
+    return a.length - b.length;
+}
+
+// compare strings in utf8 byte order, which is codepoint order.  This differs from the utf16
+// charcode order of sort() only for surrogate pairs, which are above the other 16-bit chars.
+function compareUtf8( a, b ) {
+    var len = Math.min(a.length, b.length);
+    for (var i = 0; i < len; i++) {
+        var ca = a.charCodeAt(i), cb = b.charCodeAt(i);
+        if (ca !== cb) {
+            var sa = ca >= 0xD800 && ca <= 0xDFFF, sb = cb >= 0xD800 && cb <= 0xDFFF;
+            return (sa === sb) ? ca - cb : (sa ? 1 : -1);
+        }
+    }
+    return a.length - b.length;
+}
+
+function decodeMap( buf, st, len, offset, type ) {
+    checkCollection(buf, st, len, 2 * len, 'maxObjectKeys', offset, type);
+    var map = new Map();
+    if (st.objects) st.objects.push(map);
+    st.depth += 1;
+    for (var i = 0; i < len; i++) {
+        var key = decodeItem(buf, st);
+        try { map.set(key, decodeItem(buf, st)) } catch (err) { throw addErrorPath(err, key) }
+    }
+    st.depth -= 1;
+    return map;
+}
+
+function decodeSet( buf, st, len, offset, type ) {
+    checkCollection(buf, st, len, len, 'maxArrayLength', offset, type);
+    var set = new Set();
+    if (st.objects) st.objects.push(set);
+    st.depth += 1;
+    try {
+        for (var i = 0; i < len; i++) set.add(decodeItem(buf, st));
+    } catch (err) {
+        throw addErrorPath(err, i);
+    }
+    st.depth -= 1;
+    return set;
+}
+
+// check the size of a Map or Set against the input and the limits before decoding it
+function checkCollection( buf, st, len, count, limitName, offset, type ) {
+    if (typeof Map !== 'function') throw new DecodeError('Map and Set not supported', offset, type);
+    checkContainer(buf, st, len, count, limitName, offset, type);
+}
+function checkContainer( buf, st, len, count, limitName, offset, type ) {
+    if (buf.pos + count > buf.end) throw new DecodeError('length ' + len + ' runs past end of input', offset, type);
+    if (len > st[limitName]) throw limitError(limitName, st[limitName], offset, type);
+    if (st.depth >= st.maxDepth) throw limitError('maxDepth', st.maxDepth, offset, type);
+    if (st.totalItems + count > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, offset, type);
+}
+
+/*
+ * Cyclic structures cannot be encoded, and shared objects are encoded as separate copies.  With
+ * the refs option the message is prefixed with T_REFS, and all its objects, arrays, Maps and Sets
+ * are numbered in the order they are written.  Repeats are written as T_OBJREFB back-references
+ * to their number, and decode into the same object, which also rebuilds cycles.
+ */
+function enterObject( buf, item, st ) {
+    if (st.objects) {
+        var ix = st.objects.get(item);
+        if (ix !== undefined) return encodeLenCode(buf, ix, T_OBJREFB), true;
+        st.objects.set(item, st.objects.size);
+    }
+    else if (st.ancestors.indexOf(item) >= 0) throw new EncodeError('cyclic structure');
+    st.ancestors.push(item);
+    return false;
+}
+
+function decodeRefs( buf, st, offset, type ) {
+    if (st.objects) throw new DecodeError('object references already enabled', offset, type);
+    st.objects = [];
+    return decodeItem(buf, st);
+}
+
+function decodeObjectRef( buf, st, ix, offset, type ) {
+    if (!st.objects || ix >= st.objects.length) throw new DecodeError('object reference ' + ix + ' not defined', offset, type);
+    return st.objects[ix];
+}
+
 function encodeString( buf, item ) {
     var len = PushBuffer.byteLength(item);
     encodeType(buf, len, T_STRINGI, T_STRINGB);
@@ -223,21 +938,36 @@ function encodeBytes( buf, item ) {
     buf.pushBytes(item);
 }
 
-function encodeArray( buf, item ) {
-    var len = item.length;
-    encodeType(buf, len, T_ARRAYI, T_ARRAYB);
-    for (var i = 0; i < len; i++) {
-        encodeItem(buf, item[i]);
+function encodeArray( buf, item, st ) {
+    if (enterObject(buf, item, st)) return;
+    var len = item.length, keys = (st.tables && len >= MIN_TABLE_ROWS) ? tableKeys(item) : null;
+    if (keys) encodeTable(buf, item, keys, st);
+    else {
+        encodeType(buf, len, T_ARRAYI, T_ARRAYB);
+        try {
+            for (var i = 0; i < len; i++) {
+                encodeItem(buf, st.replacing ? replaceValue(st, item, String(i), item[i]) : item[i], st);
+            }
+        } catch (err) { throw addErrorPath(err, i) }
     }
+    st.ancestors.pop();
 }
 
-function decodeArray( buf, len ) {
+function decodeArray( buf, len, st ) {
     var arr = new Array(len);
-    for (var i = 0; i < len; i++) arr[i] = decodeItem(buf);
+    if (st.objects) st.objects.push(arr);
+    st.depth += 1;
+    try {
+        for (var i = 0; i < len; i++) arr[i] = decodeItem(buf, st);
+    } catch (err) {
+        throw addErrorPath(err, i);
+    }
+    st.depth -= 1;
     return arr;
 }
 
-function encodeObject( buf, item ) {
+function encodeObject( buf, item, st ) {
+    if (st.slowObjects) return encodeReplacedObject(buf, item, st);
 /**
     if (item.toJSON) { item = item.toJSON(); delete item.toJSON; return encodeItem(buf, item) }
     if (item.constructor === Object) {
@@ -252,26 +982,1287 @@ function encodeObject( buf, item ) {
     }
     else {
 **/
+        if (enterObject(buf, item, st)) return;
         // Object.keys runs slow on older node
         var keys = Object.keys(item), len = keys.length;
         encodeType(buf, len, T_OBJECTI, T_OBJECTB);
-        for (var i = 0; i < keys.length; i++) {
-            var key = keys[i];
-            encodeItem(buf, key);
-            encodeItem(buf, item[key]);
-        }
+        try {
+            for (var i = 0; i < keys.length; i++) {
+                var key = keys[i];
+                encodeItem(buf, key, st);
+                encodeItem(buf, item[key], st);
+            }
+        } catch (err) { throw addErrorPath(err, key) }
+        st.ancestors.pop();
 //    }
 }
 
-function decodeObject( buf, len ) {
-    var obj = {};
+// With safeKeys (the default) keys must be strings, and `__proto__` is set as an own property
+// instead of changing the prototype of the decoded object.
+function decodeObject( buf, len, st ) {
+    var obj = st.nullPrototype ? Object.create(null) : {};
+    if (st.objects) st.objects.push(obj);
+    st.depth += 1;
     for (var i = 0; i < len; i++) {
-        var key = decodeItem(buf);
-        obj[key] = decodeItem(buf);
+        var key = decodeObjectKey(buf, st);
+        try { var value = decodeItem(buf, st) } catch (err) { throw addErrorPath(err, key) }
+        if (key === '__proto__' && st.safeKeys) setOwnProperty(obj, key, value);
+        else obj[key] = value;
     }
+    st.depth -= 1;
     return obj;
 }
 
+function decodeObjectKey( buf, st ) {
+    var keyOffset = buf.pos, key = decodeItem(buf, st);
+    if (typeof key !== 'string' && st.safeKeys) {
+        throw new DecodeError('object key must be a string, not ' + typeof key, keyOffset, buf.buf[keyOffset]);
+    }
+    return key;
+}
+
+/*
+ * With the tables option, an array of plain objects that all have the same keys in the same
+ * order is written as a T_TABLEB with the row count, an array of the keys, and then the values
+ * column by column, all the rows of the first key, then of the second, etc.  The keys are stored
+ * once, and the values of a column tend to be alike.  Tables decode into the array of objects,
+ * or with the columns option into an object of column arrays.
+ */
+function tableKeys( item ) {
+    if (!isTableRow(item[0])) return null;
+    var keys = [];
+    for (var key in item[0]) keys.push(key);
+    if (!keys.length) return null;
+    for (var i = 0; i < item.length; i++) {
+        if (i > 0 && !isTableRow(item[i])) return null;
+        var k = 0;
+        for (var key in item[i]) {
+            if (keys[k++] !== key || !isTableValue(item[i][key])) return null;
+        }
+        if (k !== keys.length) return null;
+    }
+    return keys;
+}
+
+// rows are plain objects, not ones that encode themselves some other way
+function isTableRow( row ) {
+    return row !== null && typeof row === 'object' && row.constructor === Object &&
+        typeof row.toJSON !== 'function' && !(extensions.length && findExtension(row));
+}
+// function and Symbol values are not data, rows holding them are left to the object encoder
+function isTableValue( value ) {
+    var type = typeof value;
+    return type !== 'function' && type !== 'symbol';
+}
+
+function encodeTable( buf, item, keys, st ) {
+    var len = item.length;
+    encodeLenCode(buf, len, T_TABLEB);
+    encodeType(buf, keys.length, T_ARRAYI, T_ARRAYB);
+    for (var i = 0; i < keys.length; i++) st.stringRefs ? encodeStringRef(buf, keys[i], st) : encodeString(buf, keys[i]);
+    try {
+        for (i = 0; i < keys.length; i++) {
+            for (var r = 0; r < len; r++) {
+                // the row is the container of its values, to find cycles through it
+                st.ancestors.push(item[r]);
+                encodeItem(buf, item[r][keys[i]], st);
+                st.ancestors.pop();
+            }
+        }
+    } catch (err) { throw addErrorPath(addErrorPath(err, keys[i]), r) }
+}
+
+function decodeTable( buf, st, len, offset, type ) {
+    if (len > st.maxArrayLength) throw limitError('maxArrayLength', st.maxArrayLength, offset, type);
+    // the values are nested as deep as object properties in an array
+    if (st.depth + 1 >= st.maxDepth) throw limitError('maxDepth', st.maxDepth, offset, type);
+    var keys = decodeTableKeys(buf, st, offset, type), count = keys.length * len;
+    // each value takes at least a byte, and the rows count as items like the objects of an array
+    if (buf.pos + count > buf.end) throw new DecodeError('length ' + len + ' runs past end of input', offset, type);
+    if (st.totalItems + len + count > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, offset, type);
+    st.totalItems += len;
+    var table = st.columns ? (st.nullPrototype ? Object.create(null) : {}) : new Array(len), column;
+    if (st.objects) st.objects.push(table);
+    for (var r = 0; !st.columns && r < len; r++) {
+        table[r] = st.nullPrototype ? Object.create(null) : {};
+        if (st.objects) st.objects.push(table[r]);
+    }
+    st.depth += 2;
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        if (st.columns) assignProperty(st, table, key, column = new Array(len));
+        try {
+            for (r = 0; r < len; r++) {
+                var value = decodeItem(buf, st);
+                if (st.columns) column[r] = value;
+                else assignProperty(st, table[r], key, value);
+            }
+        } catch (err) { throw st.columns ? addErrorPath(addErrorPath(err, r), key) : addErrorPath(addErrorPath(err, key), r) }
+    }
+    st.depth -= 2;
+    return table;
+}
+
+function decodeTableKeys( buf, st, offset, type ) {
+    if (buf.pos >= buf.end) throw new DecodeError('truncated input, no table keys', offset, type);
+    if (!isTypeAt(buf, T_ARRAYI, T_ARRAYB)) throw new DecodeError('table keys must be an array', offset, type);
+    // the keys are limited by maxObjectKeys like the keys of an object, not as an array
+    var keysOffset = buf.pos, keysType = buf.buf[keysOffset];
+    buf.pos += 1;
+    var len = shiftLength(buf, keysOffset, keysType);
+    // encodeTable writes only rows with keys, without any the row count would allocate unchecked
+    if (!len) throw new DecodeError('table has no keys', offset, type);
+    if (buf.pos + len > buf.end) throw new DecodeError('length ' + len + ' runs past end of input', keysOffset, keysType);
+    if (++st.totalItems > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, keysOffset, keysType);
+    if (len > st.maxObjectKeys) throw limitError('maxObjectKeys', st.maxObjectKeys, keysOffset, keysType);
+    var keys = new Array(len);
+    for (var i = 0; i < len; i++) {
+        var keyOffset = buf.pos;
+        keys[i] = decodeItem(buf, st);
+        if (typeof keys[i] !== 'string' && st.safeKeys) {
+            throw new DecodeError('table key must be a string, not ' + typeof keys[i], keyOffset, buf.buf[keyOffset]);
+        }
+    }
+    return keys;
+}
+
+function assignProperty( st, obj, key, value ) {
+    if (key === '__proto__' && st.safeKeys) setOwnProperty(obj, key, value);
+    else obj[key] = value;
+}
+
+function setOwnProperty( obj, key, value ) {
+    Object.defineProperty(obj, key, { value: value, writable: true, enumerable: true, configurable: true });
+}
+
+/*
+ * Skipping and partial decoding.  Every variable-length item carries its length, so the items
+ * not wanted can be stepped over without being decoded.  String definitions are decoded even
+ * when skipped, because a wanted string may be a reference to one.
+ */
+function skip( bytes, offset, options ) {
+    var buf = new PushBuffer(bytes);
+    buf.pos = offset || 0;
+    skipItem(buf, new DecodeState(options));
+    return buf.pos;
+}
+
+function get( bytes, path, options ) {
+    var buf = new PushBuffer(bytes), st = new DecodeState(options);
+    var steps = typeof path === 'string' ? path.split('.') : path;
+    for (var i = 0; i < steps.length; i++) {
+        // tables store their rows by column, so they are decoded and the rest of the path followed
+        if ((buf.buf[buf.pos] & 0xFC) === T_TABLEB) return walkPath(decodeItem(buf, st), steps.slice(i));
+        if (!seekStep(buf, st, steps[i])) return undefined;
+    }
+    return decodeItem(buf, st);
+}
+
+// follow the path through a decoded value the way seekStep follows it through the bytes
+function walkPath( value, steps ) {
+    for (var i = 0; i < steps.length; i++) {
+        var step = steps[i];
+        if (Array.isArray(value)) {
+            var ix = Number(step);
+            if (!(ix >= 0 && ix < value.length && ix === Math.floor(ix))) return undefined;
+            value = value[ix];
+        }
+        else if (value instanceof MapType) {
+            if (!value.has(step)) return undefined;
+            value = value.get(step);
+        }
+        else if (value && typeof value === 'object' && isPlainPrototype(Object.getPrototypeOf(value))) {
+            if (!Object.prototype.hasOwnProperty.call(value, String(step))) return undefined;
+            value = value[step];
+        }
+        else return undefined;
+    }
+    return value;
+}
+function isPlainPrototype( proto ) {
+    return proto === Object.prototype || proto === null;
+}
+
+// advance past the item at buf.pos, checking only that it is well-formed enough to step over
+function skipItem( buf, st ) {
+    var offset = buf.pos;
+    if (offset >= buf.end) throw new DecodeError('truncated input, no typecode', offset);
+    var type = buf.buf[offset];
+    if (type === T_STRDEF) return decodeItem(buf, st);
+    buf.pos += 1;
+    if (!(type & 0x80)) {
+        if (!(type & 0x40)) return;
+        var need = FIXED_SIZES[type & 0x3f];
+        if (need !== need) throw new DecodeError('typecode not supported', offset, type);
+        if (buf.pos + need > buf.end) throw truncatedError(buf, offset, type, need);
+        switch (type) {
+        case T_VARINT: case T_NEGVARINT: case T_BIGVARINT: case T_NEGBIGVARINT:
+            buf.pos += varintLength(buf, offset, type);
+            return;
+        case T_BIGINT:
+            if (buf.pos >= buf.end) throw truncatedError(buf, offset, type, 1);
+            if (!isTypeAt(buf, T_BYTESI, T_BYTESB)) throw new DecodeError('BigInt value must be bytes', offset, type);
+            return skipItem(buf, st);
+        case T_REFS:
+            if (st.objects) throw new DecodeError('object references already enabled', offset, type);
+            st.objects = [];
+            return skipItem(buf, st);
+        default:
+            buf.pos += need;
+            return;
+        }
+    }
+    var len = shiftLength(buf, offset, type), count = 0;
+    switch ((type & 0x40) ? type & 0xB0 : type & 0xFC) {
+    case T_STRREFB: case T_OBJREFB: return;
+    case T_EXTB: case T_TYPEDB: len += 1; break;
+    case T_ARRAYB: case T_SETB: count = len; break;
+    case T_OBJECTB: case T_MAPB: count = 2 * len; break;
+    case T_TABLEB: count = len *= decodeTableKeys(buf, st, offset, type).length; break;
+    }
+    if (count) {
+        if (st.depth >= st.maxDepth) throw limitError('maxDepth', st.maxDepth, offset, type);
+        st.depth += 1;
+        for (var i = 0; i < count; i++) skipItem(buf, st);
+        st.depth -= 1;
+    }
+    else {
+        if (buf.pos + len > buf.end) throw new DecodeError('length ' + len + ' runs past end of input', offset, type);
+        buf.pos += len;
+    }
+}
+
+// read the length of the variable-length item with typecode at offset, leaving buf.pos at its contents
+function shiftLength( buf, offset, type ) {
+    if (type & 0x40) return type & MASK_SHORTLEN;
+    if ((type & 0x0C) && !LENGTH_TYPES[type & 0xFC]) throw new DecodeError('typecode not supported', offset, type);
+    var lenBytes = 1 << (type & MASK_BYTELEN);
+    if (buf.pos + lenBytes > buf.end) throw truncatedError(buf, offset, type, lenBytes);
+    return buf.shiftBE(lenBytes);
+}
+
+// the byte-length typecode of an array, object or Map typecode, else 0
+function containerType( type ) {
+    type = ((type & 0xC0) === 0xC0) ? type & 0xB0 : type & 0xFC;
+    return (type === T_ARRAYB || type === T_OBJECTB || type === T_MAPB) ? type : 0;
+}
+
+// move buf.pos to the array element, object property or Map value named by step, or return false
+function seekStep( buf, st, step ) {
+    var offset = buf.pos;
+    if (offset >= buf.end) throw new DecodeError('truncated input, no typecode', offset);
+    var type = buf.buf[offset], ctype = containerType(type);
+    if (type === T_REFS) throw new DecodeError('object references not supported', offset, type);
+    if (!ctype) return false;
+    buf.pos += 1;
+    var len = shiftLength(buf, offset, type);
+    if (ctype === T_ARRAYB) {
+        var ix = Number(step);
+        if (!(ix >= 0 && ix < len && ix === Math.floor(ix))) return false;
+        for (var i = 0; i < ix; i++) skipItem(buf, st);
+        return true;
+    }
+    for (var i = 0; i < len; i++) {
+        // object keys are checked as by decode, and without safeKeys converted to strings
+        if (ctype === T_OBJECTB ? String(decodeObjectKey(buf, st)) === String(step) : decodeItem(buf, st) === step) return true;
+        skipItem(buf, st);
+    }
+    return false;
+}
+
+// build the tree of the fields to decode, eg {a: {b: true}, c: true} for ['a.b', 'c']
+function fieldTree( fields ) {
+    var tree = Object.create(null);
+    for (var i = 0; i < fields.length; i++) {
+        var steps = typeof fields[i] === 'string' ? fields[i].split('.') : fields[i], node = tree;
+        for (var j = 0; j < steps.length - 1 && node[steps[j]] !== true; j++) {
+            node = node[steps[j]] || (node[steps[j]] = Object.create(null));
+        }
+        if (j === steps.length - 1) node[steps[j]] = true;
+    }
+    return tree;
+}
+
+// decode only the fields of the object that are in the tree, skipping the others
+function decodeFields( buf, st, tree ) {
+    var offset = buf.pos, type = buf.buf[offset];
+    if (type === T_REFS) throw new DecodeError('object references not supported', offset, type);
+    if (containerType(type) !== T_OBJECTB) return decodeItem(buf, st);
+    buf.pos += 1;
+    var len = shiftLength(buf, offset, type);
+    if (len > st.maxObjectKeys) throw limitError('maxObjectKeys', st.maxObjectKeys, offset, type);
+    if (st.depth >= st.maxDepth) throw limitError('maxDepth', st.maxDepth, offset, type);
+    var obj = st.nullPrototype ? Object.create(null) : {};
+    st.depth += 1;
+    for (var i = 0; i < len; i++) {
+        var key = String(decodeObjectKey(buf, st)), sub = tree[key], value;
+        try {
+            if (sub === true) value = decodeItem(buf, st);
+            else if (sub && containerType(buf.buf[buf.pos]) === T_OBJECTB) value = decodeFields(buf, st, sub);
+            else { skipItem(buf, st); continue }
+        } catch (err) { throw addErrorPath(err, key) }
+        if (key === '__proto__') setOwnProperty(obj, key, value);
+        else obj[key] = value;
+    }
+    st.depth -= 1;
+    return obj;
+}
+
+/*
+ * Inspection lists every typecode in the bytes as a flat list of tokens, for debugging.  Each
+ * token has the `offset` and `typecode`, the typecode name `type`, the `length` field of
+ * variable-length types, the decoded `value` of scalars, the `path` of keys and indexes leading
+ * to it, and the `size` of the token bytes (just the header of containers).  Malformed items get
+ * an `error`, and the walk resumes at the next byte, or ends if the item runs past the end.
+ */
+var TYPE_NAMES = [];
+nameTypes('T_INTI', T_INTI, 64);
+nameTypes('T_NULL', T_NULL, 1);
+nameTypes('T_UNDEFINED', T_UNDEFINED, 1);
+nameTypes('T_FALSE', T_FALSE, 1);
+nameTypes('T_TRUE', T_TRUE, 1);
+nameTypes('T_UINTB', T_UINTB, 4);
+nameTypes('T_NEGINTB', T_NEGINTB, 4);
+nameTypes('T_VARINT', T_VARINT, 1);
+nameTypes('T_NEGVARINT', T_NEGVARINT, 1);
+nameTypes('T_FLOAT32', T_FLOAT32, 1);
+nameTypes('T_FLOAT64', T_FLOAT64, 1);
+nameTypes('T_UINT48', T_UINT48, 1);
+nameTypes('T_NEGINT48', T_NEGINT48, 1);
+nameTypes('T_UINT56', T_UINT56, 1);
+nameTypes('T_NEGINT56', T_NEGINT56, 1);
+nameTypes('T_BIGINT64', T_BIGINT64, 1);
+nameTypes('T_BIGINT', T_BIGINT, 1);
+nameTypes('T_DATE', T_DATE, 1);
+nameTypes('T_STRDEF', T_STRDEF, 1);
+nameTypes('T_BIGVARINT', T_BIGVARINT, 1);
+nameTypes('T_NEGBIGVARINT', T_NEGBIGVARINT, 1);
+nameTypes('T_REFS', T_REFS, 1);
+nameTypes('T_STRINGB', T_STRINGB, 4);
+nameTypes('T_STRREFB', T_STRREFB, 4);
+nameTypes('T_EXTB', T_EXTB, 4);
+nameTypes('T_TYPEDB', T_TYPEDB, 4);
+nameTypes('T_BYTESB', T_BYTESB, 4);
+nameTypes('T_MAPB', T_MAPB, 4);
+nameTypes('T_SETB', T_SETB, 4);
+nameTypes('T_OBJREFB', T_OBJREFB, 4);
+nameTypes('T_TABLEB', T_TABLEB, 4);
+nameTypes('T_ARRAYB', T_ARRAYB, 4);
+nameTypes('T_OBJECTB', T_OBJECTB, 4);
+nameTypes('T_STRINGI', T_STRINGI, 16);
+nameTypes('T_BYTESI', T_BYTESI, 16);
+nameTypes('T_ARRAYI', T_ARRAYI, 16);
+nameTypes('T_OBJECTI', T_OBJECTI, 16);
+
+function nameTypes( name, code, count ) {
+    for (var i = 0; i < count; i++) TYPE_NAMES[code + i] = i ? name + '+' + i : name;
+}
+
+// nesting deeper than this, or than the maxDepth option, is flagged instead of overflowing the stack
+var MAX_INSPECT_DEPTH = 256;
+
+function inspect( bytes, options ) {
+    var buf = new PushBuffer(bytes), tokens = [];
+    // each top-level item is a separate message, with its own string references
+    while (buf.pos < buf.end) inspectItem(buf, new DecodeState(options), [], tokens);
+    return tokens;
+}
+
+function inspectItem( buf, st, path, tokens ) {
+    var offset = buf.pos, type = buf.buf[offset];
+    var token = { offset: offset, typecode: type, type: TYPE_NAMES[type] || 'unknown', length: undefined,
+                  value: undefined, path: path, size: 1 };
+    tokens.push(token);
+    if (type === T_REFS) {
+        buf.pos += 1;
+        if (buf.pos >= buf.end) return inspectError(buf, token, 'truncated input, no item after T_REFS');
+        if (st.objects) return inspectError(buf, token, 'object references already enabled');
+        st.objects = [];
+        return inspectItem(buf, st, path, tokens);
+    }
+    var typeB = !(type & 0x80) ? 0 : (type & 0x40) ? type & 0xB0 : type & 0xFC;
+    if (typeB) {
+        buf.pos += 1;
+        try { token.length = shiftLength(buf, offset, type) } catch (err) { return inspectError(buf, token, err) }
+        buf.pos = offset;
+    }
+    var maxDepth = Math.min(st.maxDepth, MAX_INSPECT_DEPTH);
+    switch (typeB) {
+    case T_ARRAYB: case T_SETB: case T_OBJECTB: case T_MAPB:
+        if (path.length >= maxDepth) return inspectError(buf, token, limitError('maxDepth', maxDepth, offset, type));
+        buf.pos = offset + 1 + ((type & 0x40) ? 0 : 1 << (type & MASK_BYTELEN));
+        token.size = buf.pos - offset;
+        var pairs = typeB === T_OBJECTB || typeB === T_MAPB;
+        for (var i = 0; i < token.length; i++) {
+            if (buf.pos >= buf.end) return inspectTruncated(buf, token, 'truncated input, have ' + i + ' of ' + token.length + ' items');
+            if (pairs) {
+                var keyToken = tokens.length;
+                inspectItem(buf, st, path, tokens);
+                tokens[keyToken].key = true;
+                if (buf.pos >= buf.end) return inspectTruncated(buf, token, 'truncated input, no value for key');
+                inspectItem(buf, st, path.concat(tokens[keyToken].value), tokens);
+            }
+            else inspectItem(buf, st, path.concat(i), tokens);
+        }
+        return;
+    case T_TABLEB:
+        if (path.length + 1 >= maxDepth) return inspectError(buf, token, limitError('maxDepth', maxDepth, offset, type));
+        buf.pos = offset + 1 + (1 << (type & MASK_BYTELEN));
+        token.size = buf.pos - offset;
+        if (buf.pos >= buf.end) return inspectTruncated(buf, token, 'truncated input, no table keys');
+        if (!isTypeAt(buf, T_ARRAYI, T_ARRAYB)) token.error = 'table keys must be an array';
+        // the keys are listed like object keys, then the values column by column
+        var keysToken = tokens.length, keys = [];
+        inspectItem(buf, st, path, tokens);
+        for (var i = keysToken + 1; i < tokens.length; i++) {
+            tokens[i].key = true;
+            tokens[i].path = path;
+            keys.push(tokens[i].value);
+        }
+        if (!keys.length && !token.error) token.error = 'table has no keys';
+        var count = keys.length * token.length;
+        for (i = 0; i < count; i++) {
+            if (buf.pos >= buf.end) return inspectTruncated(buf, token, 'truncated input, have ' + i + ' of ' + count + ' values');
+            inspectItem(buf, st, path.concat(i % token.length, keys[Math.floor(i / token.length)]), tokens);
+        }
+        return;
+    case T_OBJREFB:
+        token.value = token.length;
+        buf.pos = offset + 1 + (1 << (type & MASK_BYTELEN));
+        token.size = buf.pos - offset;
+        return;
+    default:
+        try { token.value = decodeItem(buf, st) } catch (err) { return inspectError(buf, token, err) }
+        token.size = buf.pos - offset;
+        return;
+    }
+}
+
+// flag the token as malformed, and skip just its typecode unless it runs past the end of the bytes
+function inspectError( buf, token, err ) {
+    token.error = err.reason || err.message || err;
+    var type = token.typecode, extent = 1;
+    if (!(type & 0x80)) extent += (type & 0x40) ? FIXED_SIZES[type & 0x3f] || 0 : 0;
+    else if (token.length !== undefined) extent += ((type & 0x40) ? 0 : 1 << (type & MASK_BYTELEN)) + token.length;
+    buf.pos = token.offset + extent > buf.end ? buf.end : token.offset + 1;
+    token.size = buf.pos - token.offset;
+}
+
+// flag a container that runs out of input; its items so far are already listed, so don't go back over them
+function inspectTruncated( buf, token, reason ) {
+    token.error = reason;
+    buf.pos = buf.end;
+}
+
+/*
+ * JSON text is transcoded directly to the bytes that encode(JSON.parse(text)) would produce, and
+ * encoded bytes to the text JSON.stringify(decode(bytes)) would produce, without building the
+ * arrays and objects in between.  Container headers are filled in once the items are counted.
+ */
+function fromJSON( text, options ) {
+    var st = new EncodeState(options);
+    // replacers and tables need the whole parsed value, they see arrays and objects before they are written
+    if (st.replacing || st.tables) return encode(JSON.parse(text), options);
+    var buf = new PushBuffer(), js = new JsonText(String(text));
+    if (st.objects) buf.push(T_REFS);
+    skipJsonSpace(js);
+    transcodeJson(buf, js, st);
+    skipJsonSpace(js);
+    if (js.pos < js.text.length) throw jsonSyntaxError(js);
+    return buf.slice();
+}
+
+function JsonText( text ) {
+    this.text = text;
+    this.pos = 0;
+    this.ascii = false;
+}
+
+function transcodeJson( buf, js, st ) {
+    switch (js.text[js.pos]) {
+    case '{': transcodeJsonObject(buf, js, st); break;
+    case '[': transcodeJsonArray(buf, js, st); break;
+    case '"': encodeJsonString(buf, js, parseJsonString(js), st); break;
+    case 't': expectJson(js, 'true'); buf.push(T_TRUE); break;
+    case 'f': expectJson(js, 'false'); buf.push(T_FALSE); break;
+    case 'n': expectJson(js, 'null'); buf.push(T_NULL); break;
+    default: encodeNumber(buf, parseJsonNumber(js), st); break;
+    }
+}
+
+function transcodeJsonArray( buf, js, st ) {
+    var base = buf.end, count = 0;
+    // most arrays have few items, so expect a 1-byte header
+    buf.push(T_ARRAYI);
+    js.pos += 1;
+    skipJsonSpace(js);
+    if (js.text[js.pos] !== ']') for (;;) {
+        transcodeJson(buf, js, st);
+        count += 1;
+        if (nextJsonItem(js, ']')) break;
+    }
+    js.pos += 1;
+    writeHeader(buf, base, 1, count, T_ARRAYI, T_ARRAYB);
+}
+
+// properties are written in the order JSON.parse would set them on the object
+function transcodeJsonObject( buf, js, st ) {
+    var base = buf.end, start = js.pos, stringCount = st.stringCount, keys = [], offsets = [];
+    buf.push(T_OBJECTI);
+    js.pos += 1;
+    skipJsonSpace(js);
+    if (js.text[js.pos] !== '}') for (;;) {
+        if (js.text[js.pos] !== '"') throw jsonSyntaxError(js);
+        var key = parseJsonString(js);
+        keys.push(key);
+        offsets.push(buf.end);
+        encodeJsonString(buf, js, key, st);
+        skipJsonSpace(js);
+        expectJson(js, ':');
+        skipJsonSpace(js);
+        transcodeJson(buf, js, st);
+        if (nextJsonItem(js, '}')) break;
+    }
+    js.pos += 1;
+    var order = propertyOrder(keys);
+    if (st.canonical) {
+        order = order || keys.map(function(key, i) { return i });
+        order.sort(function(a, b) { return compareUtf8(keys[a], keys[b]) });
+    }
+    if (order && st.stringRefs) {
+        // the string definitions would move, so encode the parsed object instead
+        for (var str in st.strings) if (st.strings[str] >= stringCount) delete st.strings[str];
+        st.stringCount = stringCount;
+        buf.end = base;
+        return encodeItem(buf, JSON.parse(js.text.slice(start, js.pos)), st);
+    }
+    if (order) {
+        var body = fromBuf(buf.buf.slice(base + 1, buf.end));
+        offsets.push(buf.end);
+        buf.end = base + 1;
+        for (var i = 0; i < order.length; i++) {
+            buf.pushBytes(body.slice(offsets[order[i]] - base - 1, offsets[order[i] + 1] - base - 1));
+        }
+    }
+    writeHeader(buf, base, 1, order ? order.length : keys.length, T_OBJECTI, T_OBJECTB);
+}
+
+// rewrite the container header once the count is known, moving the contents if it changed size
+function writeHeader( buf, base, headerLength, count, typeI, typeB ) {
+    if (count <= MASK_SHORTLEN && headerLength === 1) return buf.buf[base] = typeI + count;
+    var header = new PushBuffer();
+    encodeType(header, count, typeI, typeB);
+    var shift = header.end - headerLength;
+    if (shift > 0) buf.reserve(shift);
+    if (shift) {
+        buf.buf.copy(buf.buf, base + header.end, base + headerLength, buf.end);
+        buf.end += shift;
+    }
+    for (var i = 0; i < header.end; i++) buf.buf[base + i] = header.buf[i];
+}
+
+/*
+ * The order in which an object built from the keys would list its properties: array index keys
+ * first in numeric order, then the others in the order they were first set.  Repeated keys keep
+ * their first place but take the last value.  Returns the indexes of the keys to use, or null if
+ * the keys are already in order.
+ */
+function propertyOrder( keys ) {
+    if (keys.length <= 8 && !hasIndexOrRepeat(keys)) return null;
+    var order = [], places = Object.create(null), inOrder = true, lastIndex = -1, named = false;
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i], place = places[key];
+        if (place !== undefined) { order[place] = i; inOrder = false; continue }
+        places[key] = order.length;
+        order.push(i);
+        var index = arrayIndex(key);
+        if (index < 0) named = true;
+        else if (named || index < lastIndex) inOrder = false;
+        else lastIndex = index;
+    }
+    if (inOrder) return null;
+    var indexes = [], names = [];
+    for (var i = 0; i < order.length; i++) (arrayIndex(keys[order[i]]) >= 0 ? indexes : names).push(order[i]);
+    indexes.sort(function(a, b) { return arrayIndex(keys[a]) - arrayIndex(keys[b]) });
+    return indexes.concat(names);
+}
+// small objects are checked without allocating
+function hasIndexOrRepeat( keys ) {
+    for (var i = 0; i < keys.length; i++) {
+        var ch = keys[i].charCodeAt(0);
+        if (ch >= 0x30 && ch <= 0x39) return true;
+        for (var j = 0; j < i; j++) if (keys[j] === keys[i]) return true;
+    }
+    return false;
+}
+function arrayIndex( key ) {
+    var ch = key.charCodeAt(0);
+    if (!(ch >= 0x30 && ch <= 0x39) || key.length > 10) return -1;
+    var n = +key;
+    return (n >>> 0 === n && n !== 0xffffffff && String(n) === key) ? n : -1;
+}
+
+function skipJsonSpace( js ) {
+    var text = js.text, ch;
+    while ((ch = text[js.pos]) === ' ' || ch === '\n' || ch === '\r' || ch === '\t') js.pos += 1;
+}
+// step past the comma before the next item, or return true at the end of the container
+function nextJsonItem( js, close ) {
+    skipJsonSpace(js);
+    if (js.text[js.pos] === close) return true;
+    expectJson(js, ',');
+    skipJsonSpace(js);
+    return false;
+}
+function expectJson( js, word ) {
+    for (var i = 0; i < word.length; i++) {
+        if (js.text[js.pos + i] !== word[i]) throw jsonSyntaxError(js, js.pos + i);
+    }
+    js.pos += word.length;
+}
+function jsonSyntaxError( js, pos ) {
+    if (pos === undefined) pos = js.pos;
+    var ch = js.text[pos];
+    return new SyntaxError(ch === undefined ? 'unexpected end of JSON input' : 'unexpected token ' + JSON.stringify(ch) + ' in JSON at position ' + pos);
+}
+
+// ascii strings are as long in utf8 as in chars
+function encodeJsonString( buf, js, str, st ) {
+    if (st.stringRefs) return encodeStringRef(buf, str, st);
+    var len = js.ascii ? str.length : PushBuffer.byteLength(str);
+    encodeType(buf, len, T_STRINGI, T_STRINGB);
+    buf.pushString(str, len);
+}
+
+var JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+function parseJsonString( js ) {
+    var text = js.text, str = '', start = js.pos + 1, ascii = true;
+    for (var i = start; i < text.length; i++) {
+        var ch = text.charCodeAt(i);
+        if (ch === 0x22) {
+            js.ascii = ascii;
+            js.pos = i + 1;
+            return start < i ? str + text.slice(start, i) : str;
+        }
+        else if (ch === 0x5C) {
+            str += text.slice(start, i);
+            var esc = text[i + 1];
+            if (esc === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+                var code = parseInt(text.slice(i + 2, i + 6), 16);
+                if (code > 0x7f) ascii = false;
+                str += String.fromCharCode(code);
+                i += 5;
+            }
+            else if (JSON_ESCAPES[esc] !== undefined) {
+                str += JSON_ESCAPES[esc];
+                i += 1;
+            }
+            else throw jsonSyntaxError(js, i + 1);
+            start = i + 1;
+        }
+        else if (ch < 0x20) throw jsonSyntaxError(js, i);
+        else if (ch > 0x7f) ascii = false;
+    }
+    throw jsonSyntaxError(js, text.length);
+}
+
+function parseJsonNumber( js ) {
+    var text = js.text, start = js.pos, i = start;
+    if (text[i] === '-') i += 1;
+    if (text[i] === '0') i += 1;
+    else if (isDigit(text, i)) while (isDigit(text, i)) i += 1;
+    else throw jsonSyntaxError(js, i);
+    if (text[i] === '.') {
+        if (!isDigit(text, ++i)) throw jsonSyntaxError(js, i);
+        while (isDigit(text, i)) i += 1;
+    }
+    if (text[i] === 'e' || text[i] === 'E') {
+        if (text[i + 1] === '+' || text[i + 1] === '-') i += 1;
+        if (!isDigit(text, ++i)) throw jsonSyntaxError(js, i);
+        while (isDigit(text, i)) i += 1;
+    }
+    js.pos = i;
+    return +text.slice(start, i);
+}
+function isDigit( text, i ) {
+    var ch = text.charCodeAt(i);
+    return ch >= 0x30 && ch <= 0x39;
+}
+
+/*
+ * The JSON text is written as utf8 bytes.  Each array item and object property is written with
+ * a leading comma, and the first comma is then overwritten with the opening bracket.  Values
+ * that JSON does not have, and referenced objects, are decoded and converted by JSON.stringify.
+ */
+function toJSON( bytes, options ) {
+    var buf = new PushBuffer(bytes), st = new DecodeState(options);
+    if ((options && typeof options.reviver === 'function') || st.fields || !st.safeKeys) {
+        return JSON.stringify(decodeValue(buf, options));
+    }
+    var out = new PushBuffer();
+    if (!transcodeItem(buf, st, out)) return undefined;
+    return out.buf.toString('utf8', 0, out.end);
+}
+
+// write the item as JSON, return false if it was undefined
+function transcodeItem( buf, st, out ) {
+    var offset = buf.pos, type = buf.buf[offset];
+    var typeB = st.objects ? 0 : ((type & 0xC0) === 0xC0) ? type & 0xB0 : type & 0xFC;
+    if (typeB === T_STRINGB) return transcodeString(buf, st, out), true;
+    if (typeB !== T_ARRAYB && typeB !== T_OBJECTB) {
+        var value = decodeItem(buf, st);
+        var json = typeof value === 'number' ? (isFinite(value) ? String(value) : 'null') : JSON.stringify(value);
+        if (json === undefined) return false;
+        out.pushString(json);
+        return true;
+    }
+    if (++st.totalItems > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, offset);
+    buf.pos += 1;
+    var len = shiftLength(buf, offset, type);
+    if (typeB === T_ARRAYB) {
+        checkContainer(buf, st, len, len, 'maxArrayLength', offset, type);
+        transcodeArray(buf, len, st, out);
+    } else {
+        checkContainer(buf, st, len, 2 * len, 'maxObjectKeys', offset, type);
+        transcodeObject(buf, len, st, out);
+    }
+    return true;
+}
+
+// printable ascii strings are copied as-is, others are decoded and escaped
+function transcodeString( buf, st, out ) {
+    var offset = buf.pos, type = buf.buf[offset];
+    if (++st.totalItems > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, offset);
+    buf.pos += 1;
+    var len = shiftLength(buf, offset, type);
+    if (buf.pos + len > buf.end) throw new DecodeError('length ' + len + ' runs past end of input', offset, type);
+    if (len > st.maxStringLength) throw limitError('maxStringLength', st.maxStringLength, offset, type);
+    var bytes = buf.buf, base = buf.pos, bound = base + len;
+    for (var i = base; i < bound; i++) {
+        var ch = bytes[i];
+        if (ch < 0x20 || ch > 0x7e || ch === 0x22 || ch === 0x5c) break;
+    }
+    if (i < bound) return out.pushString(JSON.stringify(buf.shiftString(len)));
+    out.reserve(len + 2);
+    var ix = out.end;
+    out.buf[ix++] = 0x22;
+    for (var i = base; i < bound; i++) out.buf[ix++] = bytes[i];
+    out.buf[ix++] = 0x22;
+    out.end = ix;
+    buf.pos = bound;
+}
+
+function transcodeKey( out, key ) {
+    var len = key.length;
+    out.reserve(len + 4);
+    var ix = out.end;
+    out.buf[ix++] = 0x2C;
+    out.buf[ix++] = 0x22;
+    for (var i = 0; i < len; i++) {
+        var ch = key.charCodeAt(i);
+        if (ch < 0x20 || ch > 0x7e || ch === 0x22 || ch === 0x5c) break;
+        out.buf[ix++] = ch;
+    }
+    if (i < len) {
+        out.push(0x2C);
+        out.pushString(JSON.stringify(key));
+        out.push(0x3A);
+    } else {
+        out.buf[ix++] = 0x22;
+        out.buf[ix++] = 0x3A;
+        out.end = ix;
+    }
+}
+
+function transcodeArray( buf, len, st, out ) {
+    var base = out.end;
+    st.depth += 1;
+    try {
+        for (var i = 0; i < len; i++) {
+            out.push(0x2C);
+            if (!transcodeItem(buf, st, out)) out.pushString('null');
+        }
+    } catch (err) { throw addErrorPath(err, i) }
+    st.depth -= 1;
+    closeJson(out, base, 0x5B, 0x5D);
+}
+
+// properties are listed in the order they would have in the decoded object
+function transcodeObject( buf, len, st, out ) {
+    var base = out.end, keys = new Array(len), offsets = new Array(len + 1);
+    st.depth += 1;
+    for (var i = 0; i < len; i++) {
+        var keyOffset = buf.pos;
+        var key = decodeItem(buf, st);
+        if (typeof key !== 'string') {
+            throw new DecodeError('object key must be a string, not ' + typeof key, keyOffset, buf.buf[keyOffset]);
+        }
+        keys[i] = key;
+        offsets[i] = out.end;
+        transcodeKey(out, key);
+        // properties with undefined values are omitted
+        try { if (!transcodeItem(buf, st, out)) out.end = offsets[i] } catch (err) { throw addErrorPath(err, key) }
+    }
+    st.depth -= 1;
+    offsets[len] = out.end;
+    var order = propertyOrder(keys);
+    if (order) {
+        var body = fromBuf(out.buf.slice(base, out.end));
+        out.end = base;
+        for (var i = 0; i < order.length; i++) out.pushBytes(body.slice(offsets[order[i]] - base, offsets[order[i] + 1] - base));
+    }
+    closeJson(out, base, 0x7B, 0x7D);
+}
+
+// overwrite the leading comma of the first item with the opening bracket
+function closeJson( out, base, open, close ) {
+    if (out.end > base) out.buf[base] = open;
+    else out.push(open);
+    out.push(close);
+}
+
+/*
+ * Schemas compile into an encode and decode pair for messages of a known shape.  The schema is a
+ * subset of JSON Schema: `type` is one of string, number, integer, boolean, null, object or array,
+ * or a list of them, objects have `properties`, `required` and `additionalProperties`, and arrays
+ * have `items`.  A schema without a type matches any value.  The compiled functions check the
+ * values against the schema and skip the type dispatch of encodeItem, but write and read the same
+ * bytes as encode and decode.  Only the properties in the schema are encoded.
+ */
+function compile( schema ) {
+    var node = compileSchema(schema, '');
+    // messages of the same shape are about the same size, so allocate room for the last one
+    var lastSize = 0;
+    return {
+        encode: function encode( item ) {
+            var buf = new PushBuffer();
+            buf.reserve(lastSize);
+            node.encode(buf, item, new EncodeState());
+            lastSize = buf.end;
+            return buf.slice();
+        },
+        decode: function decode( bytes, options ) {
+            return node.decode(new PushBuffer(bytes), new DecodeState(options));
+        },
+    };
+}
+
+// each compiled node has the kind of item it decodes, a test for the values it encodes,
+// and its encode and decode functions
+function compileSchema( schema, path ) {
+    if (!schema || typeof schema !== 'object') throw new Error('schema must be an object' + (path ? ' at ' + path : ''));
+    if (schema.type === undefined) return { kind: null, test: function() { return true }, encode: encodeItem, decode: decodeItem };
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type], nodes = [];
+    for (var i = 0; i < types.length; i++) {
+        if (types[i] === 'object') nodes.push(compileObject(schema, path));
+        else if (types[i] === 'array') nodes.push(compileArray(schema, path));
+        else if (SCHEMA_SCALARS[types[i]]) nodes.push(compileScalar(types[i]));
+        else throw new Error(JSON.stringify(types[i]) + ': schema type not supported' + (path ? ' at ' + path : ''));
+    }
+    return convertsToJSON(nodes.length === 1 ? nodes[0] : compileUnion(nodes, types.join(' or ')));
+}
+
+// values are converted with toJSON before they are checked, as encodeItem converts them
+function convertsToJSON( node ) {
+    var encode = node.encode;
+    node.encode = function( buf, value, st ) {
+        if (value && typeof value === 'object' && callsToJSON(value, st)) value = value.toJSON();
+        encode(buf, value, st);
+    };
+    return node;
+}
+
+var SCHEMA_SCALARS = {
+    string: { kind: 'string', test: function(v) { return typeof v === 'string' }, encode: function(buf, v) { encodeString(buf, v) } },
+    number: { kind: 'number', test: function(v) { return typeof v === 'number' }, encode: encodeNumber },
+    integer: { kind: 'number', test: function(v) { return typeof v === 'number' && v === Math.floor(v) && isFinite(v) }, encode: encodeNumber },
+    boolean: { kind: 'boolean', test: function(v) { return typeof v === 'boolean' }, encode: function(buf, v) { buf.push(v ? T_TRUE : T_FALSE) } },
+    null: { kind: 'null', test: function(v) { return v === null }, encode: function(buf) { buf.push(T_NULL) } },
+};
+
+function compileScalar( type ) {
+    var scalar = SCHEMA_SCALARS[type];
+    return {
+        kind: scalar.kind,
+        test: scalar.test,
+        encode: function( buf, value, st ) {
+            if (!scalar.test(value)) throw schemaMismatch(type, value);
+            scalar.encode(buf, value, st);
+        },
+        decode: function( buf, st ) {
+            var offset = buf.pos, typecode = expectItem(buf, scalar.kind, type);
+            var value = decodeItem(buf, st);
+            if (!scalar.test(value)) throw new DecodeError('expected ' + type, offset, typecode);
+            return value;
+        },
+    };
+}
+
+function compileObject( schema, path ) {
+    var properties = schema.properties || {}, required = schema.required || [];
+    var closed = schema.additionalProperties === false;
+    var names = Object.keys(properties), fields = [], fieldsByName = Object.create(null);
+    for (var i = 0; i < required.length; i++) if (names.indexOf(required[i]) < 0) names.push(required[i]);
+    for (var i = 0; i < names.length; i++) {
+        // the keys are encoded once, when compiled
+        var keyBuf = new PushBuffer();
+        encodeString(keyBuf, names[i]);
+        var field = {
+            name: names[i],
+            index: i,
+            key: keyBuf.slice(),
+            keyLength: PushBuffer.byteLength(names[i]),
+            node: compileSchema(properties[names[i]] || {}, path ? path + '.' + names[i] : names[i]),
+            required: required.indexOf(names[i]) >= 0,
+        };
+        fields.push(field);
+        fieldsByName[names[i]] = field;
+    }
+    return {
+        kind: 'object',
+        test: isSchemaObject,
+        encode: function( buf, item, st ) {
+            if (!isSchemaObject(item)) throw schemaMismatch('object', item);
+            var count = 0;
+            for (var i = 0; i < fields.length; i++) {
+                if (item[fields[i].name] !== undefined) count += 1;
+                else if (fields[i].required) throw addErrorPath(new EncodeError('missing required property'), fields[i].name);
+            }
+            // properties not in the schema are allowed unless additionalProperties is false.  If there
+            // are no more keys than schema properties present, there are none.
+            var keys = 0, extra = 0;
+            for (var key in item) keys += 1;
+            if (keys > count) for (key in item) {
+                if (fieldsByName[key]) continue;
+                if (closed) throw addErrorPath(new EncodeError('property not in schema'), key);
+                if (item[key] !== undefined) extra += 1;
+            }
+            encodeType(buf, count + extra, T_OBJECTI, T_OBJECTB);
+            try {
+                for (var i = 0; i < fields.length; i++) {
+                    var field = fields[i], key = field.name, value = item[key];
+                    if (value === undefined) continue;
+                    buf.pushBytes(field.key);
+                    field.node.encode(buf, value, st);
+                }
+                // the others follow with the generic encoder
+                if (extra) for (key in item) {
+                    if (fieldsByName[key] || (value = item[key]) === undefined) continue;
+                    encodeString(buf, key);
+                    encodeItem(buf, value, st);
+                }
+            } catch (err) { throw addErrorPath(err, key) }
+        },
+        decode: function( buf, st ) {
+            var offset = buf.pos, type = expectItem(buf, 'object', 'object');
+            if (++st.totalItems > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, offset);
+            buf.pos += 1;
+            var len = shiftLength(buf, offset, type);
+            checkContainer(buf, st, len, 2 * len, 'maxObjectKeys', offset, type);
+            var obj = st.nullPrototype ? Object.create(null) : {}, next = fields[0];
+            st.depth += 1;
+            for (var i = 0; i < len; i++) {
+                var keyOffset = buf.pos, field = next, key;
+                // properties are usually in schema order, so first try matching the next key bytes
+                if (field && matchKey(buf, field, st)) {
+                    key = field.name;
+                } else {
+                    key = decodeItem(buf, st);
+                    if (typeof key !== 'string') {
+                        throw new DecodeError('object key must be a string, not ' + typeof key, keyOffset, buf.buf[keyOffset]);
+                    }
+                    field = fieldsByName[key];
+                    if (!field && closed) throw addErrorPath(new DecodeError('property not in schema', keyOffset, buf.buf[keyOffset]), key);
+                }
+                if (field) next = fields[field.index + 1];
+                // undefined values are read as missing properties
+                try {
+                    var value = (field && buf.buf[buf.pos] !== T_UNDEFINED) ? field.node.decode(buf, st) : decodeItem(buf, st);
+                } catch (err) { throw addErrorPath(err, key) }
+                if (key === '__proto__') setOwnProperty(obj, key, value);
+                else obj[key] = value;
+            }
+            st.depth -= 1;
+            for (var i = 0; i < fields.length; i++) {
+                if (fields[i].required && obj[fields[i].name] === undefined) {
+                    throw addErrorPath(new DecodeError('missing required property', offset, type), fields[i].name);
+                }
+            }
+            return obj;
+        },
+    };
+}
+
+function compileArray( schema, path ) {
+    var items = compileSchema(schema.items || {}, path + '[]');
+    return {
+        kind: 'array',
+        test: Array.isArray,
+        encode: function( buf, item, st ) {
+            if (!Array.isArray(item)) throw schemaMismatch('array', item);
+            var len = item.length;
+            encodeType(buf, len, T_ARRAYI, T_ARRAYB);
+            try {
+                for (var i = 0; i < len; i++) items.encode(buf, item[i], st);
+            } catch (err) { throw addErrorPath(err, i) }
+        },
+        decode: function( buf, st ) {
+            var offset = buf.pos, type = expectItem(buf, 'array', 'array');
+            if (++st.totalItems > st.maxTotalItems) throw limitError('maxTotalItems', st.maxTotalItems, offset);
+            buf.pos += 1;
+            var len = shiftLength(buf, offset, type);
+            checkContainer(buf, st, len, len, 'maxArrayLength', offset, type);
+            var arr = new Array(len);
+            st.depth += 1;
+            try {
+                for (var i = 0; i < len; i++) arr[i] = items.decode(buf, st);
+            } catch (err) { throw addErrorPath(err, i) }
+            st.depth -= 1;
+            return arr;
+        },
+    };
+}
+
+// values are encoded by the first type they match, items decoded by the first type of their kind
+function compileUnion( nodes, expected ) {
+    return {
+        kind: null,
+        test: function( value ) {
+            for (var i = 0; i < nodes.length; i++) if (nodes[i].test(value)) return true;
+            return false;
+        },
+        encode: function( buf, value, st ) {
+            for (var i = 0; i < nodes.length; i++) if (nodes[i].test(value)) return nodes[i].encode(buf, value, st);
+            throw schemaMismatch(expected, value);
+        },
+        decode: function( buf, st ) {
+            var offset = buf.pos;
+            if (offset >= buf.end) throw new DecodeError('truncated input, no typecode', offset);
+            var kind = itemKind(buf.buf[offset]);
+            for (var i = 0; i < nodes.length; i++) if (nodes[i].kind === kind) return nodes[i].decode(buf, st);
+            throw kindError(expected, offset, buf.buf[offset]);
+        },
+    };
+}
+
+// step past the field key if it is next, as decodeItem would
+function matchKey( buf, field, st ) {
+    var key = field.key, bytes = buf.buf, base = buf.pos;
+    if (base + key.length > buf.end || field.keyLength > st.maxStringLength) return false;
+    for (var i = 0; i < key.length; i++) if (bytes[base + i] !== key[i]) return false;
+    buf.pos += key.length;
+    st.totalItems += 1;
+    return true;
+}
+
+function isSchemaObject( value ) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function schemaMismatch( expected, value ) {
+    var actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    return new EncodeError('expected ' + expected + ', not ' + actual);
+}
+
+// check the kind of the next item before decoding it, and return its typecode
+function expectItem( buf, kind, expected ) {
+    var offset = buf.pos;
+    if (offset >= buf.end) throw new DecodeError('truncated input, no typecode', offset);
+    var type = buf.buf[offset];
+    if (itemKind(type) !== kind) throw kindError(expected, offset, type);
+    return type;
+}
+
+// the generic decoder reads object references and tables, compiled decoders do not
+function kindError( expected, offset, type ) {
+    if (type === T_REFS) return new DecodeError('object references not supported by compiled decoders', offset, type);
+    if ((type & 0xFC) === T_TABLEB) return new DecodeError('tables not supported by compiled decoders', offset, type);
+    return new DecodeError('expected ' + expected, offset, type);
+}
+
+// the schema type an encoded item decodes into, or 'other' for the types JSON does not have
+function itemKind( type ) {
+    if (!(type & 0xC0)) return 'number';
+    if (!(type & 0x80)) {
+        if (type === T_NULL) return 'null';
+        if (type === T_FALSE || type === T_TRUE) return 'boolean';
+        if ((type >= T_UINTB && type <= T_NEGINT48) || type === T_UINT56 || type === T_NEGINT56) return 'number';
+        return type === T_STRDEF ? 'string' : 'other';
+    }
+    var typeB = (type & 0x40) ? type & 0xB0 : type & 0xFC;
+    if (typeB === T_STRINGB || typeB === T_STRREFB) return 'string';
+    return typeB === T_ARRAYB ? 'array' : typeB === T_OBJECTB ? 'object' : 'other';
+}
+
+/*
+ * The replacer and reviver work like those of JSON.stringify and JSON.parse.  The replacer is
+ * called with `this` set to the containing object on the key and the value (after toJSON), top
+ * down, and its return value is encoded instead.  Properties replaced with undefined are omitted
+ * from objects.  The replacer may instead be an array of the object keys to encode.  The reviver
+ * is called on the decoded values bottom up, and values revived to undefined are deleted.  Array
+ * indexes are passed as strings.  Map values are visited too, with the Map as `this`.
+ */
+function replaceValue( st, holder, key, value ) {
+    if (value && typeof value === 'object' && callsToJSON(value, st)) value = value.toJSON(key);
+    return st.replacer ? st.replacer.call(holder, key, value) : value;
+}
+
+// the objects that encodeItem would convert with toJSON
+function callsToJSON( item, st ) {
+    return typeof item.toJSON === 'function' && item.constructor !== Buffer &&
+        !(item.constructor === Date && st.dates) && !(extensions.length && findExtension(item));
+}
+
+// The replacer is called depth-first like JSON, before it is known how many properties are
+// omitted, so write the header for all keys and shorten it afterward if needed.
+function encodeReplacedObject( buf, item, st ) {
+    if (enterObject(buf, item, st)) return;
+    var keys = st.replacerKeys || Object.keys(item), count = 0;
+    if (st.canonical) keys = keys.slice().sort(compareUtf8);
+    var base = buf.end;
+    encodeType(buf, keys.length, T_OBJECTI, T_OBJECTB);
+    var headerLength = buf.end - base;
+    try {
+        for (var i = 0; i < keys.length; i++) {
+            var value = replaceValue(st, item, keys[i], item[keys[i]]);
+            // replaced-out properties are omitted, but canonical encoding rejects undefined values
+            if (value === undefined && st.replacing) continue;
+            encodeItem(buf, keys[i], st);
+            encodeItem(buf, value, st);
+            count += 1;
+        }
+    } catch (err) { throw addErrorPath(err, keys[i]) }
+    st.ancestors.pop();
+    if (count < keys.length) {
+        var header = new PushBuffer();
+        encodeType(header, count, T_OBJECTI, T_OBJECTB);
+        // the SizeBuffer of encodedLength has no bytes to move, just the count
+        if (buf.buf) {
+            if (header.end < headerLength) buf.buf.copy(buf.buf, base + header.end, base + headerLength, buf.end);
+            for (var i = 0; i < header.end; i++) buf.buf[base + i] = header.buf[i];
+        }
+        buf.end -= headerLength - header.end;
+    }
+}
+
+// the allowlist of keys is made of the strings and numbers in the replacer array, without duplicates
+function replacerKeys( list ) {
+    var keys = [], seen = {};
+    for (var i = 0; i < list.length; i++) {
+        var key = list[i], type = typeof key;
+        if (type === 'object' && (key instanceof String || key instanceof Number)) key = String(key);
+        else if (type === 'number') key = String(key);
+        else if (type !== 'string') continue;
+        if (!seen['.' + key]) keys.push(key);
+        seen['.' + key] = true;
+    }
+    return keys;
+}
+
+function reviveValue( holder, key, value, reviver, seen ) {
+    // shared and cyclic objects decoded with refs are revived only the first time they are reached
+    if (seen && value && typeof value === 'object') {
+        if (seen.has(value)) return reviver.call(holder, key, value);
+        seen.set(value, true);
+    }
+    if (value && typeof value === 'object') {
+        if (Array.isArray(value)) {
+            for (var i = 0; i < value.length; i++) {
+                var v = reviveValue(value, String(i), value[i], reviver, seen);
+                if (v === undefined) delete value[i]; else value[i] = v;
+            }
+        }
+        else if (value.constructor === Object || Object.getPrototypeOf(value) === null) {
+            var keys = Object.keys(value);
+            for (var i = 0; i < keys.length; i++) {
+                var v = reviveValue(value, keys[i], value[keys[i]], reviver, seen);
+                if (v === undefined) delete value[keys[i]];
+                else if (keys[i] === '__proto__') setOwnProperty(value, keys[i], v);
+                else value[keys[i]] = v;
+            }
+        }
+        else if (value.constructor === MapType) {
+            value.forEach(function(mapValue, mapKey) {
+                var v = reviveValue(value, mapKey, mapValue, reviver, seen);
+                if (v === undefined) value.delete(mapKey); else value.set(mapKey, v);
+            })
+        }
+    }
+    return reviver.call(holder, key, value);
+}
+
+/*
+ * DecodeError is thrown on truncated or corrupt input.  It records the byte offset of the
+ * offending typecode, the typecode itself, and the path of object keys and array indexes
+ * leading to the item, eg ['req', 'headers', 2].  The path is built up as the error
+ * propagates back out of the nested decode calls.
+ */
+function DecodeError( reason, offset, typecode ) {
+    this.reason = reason;
+    this.offset = offset;
+    this.typecode = typecode;
+    this.path = [];
+    this.message = formatDecodeError(this);
+    if (Error.captureStackTrace) Error.captureStackTrace(this, DecodeError);
+}
+util.inherits(DecodeError, Error);
+DecodeError.prototype.name = 'DecodeError';
+
+function formatDecodeError( err ) {
+    var path = formatPath(err.path);
+    return err.reason + ' at offset ' + err.offset +
+        (err.typecode !== undefined ? ', typecode ' + hexCode(err.typecode) : '') +
+        (path ? ', path ' + path : '');
+}
+
+// EncodeError is thrown on items that cannot be encoded, like cyclic structures
+function EncodeError( reason ) {
+    this.reason = reason;
+    this.path = [];
+    this.message = formatEncodeError(this);
+    if (Error.captureStackTrace) Error.captureStackTrace(this, EncodeError);
+}
+util.inherits(EncodeError, Error);
+EncodeError.prototype.name = 'EncodeError';
+
+function formatEncodeError( err ) {
+    var path = formatPath(err.path);
+    return err.reason + (path ? ' at path ' + path : '');
+}
+
+function formatPath( keys ) {
+    var path = '';
+    for (var i = 0; i < keys.length; i++) {
+        path += (typeof keys[i] === 'number') ? '[' + keys[i] + ']' : (i > 0 ? '.' : '') + keys[i];
+    }
+    return path;
+}
+
+function addErrorPath( err, key ) {
+    if (err instanceof DecodeError) {
+        err.path.unshift(key);
+        err.message = formatDecodeError(err);
+    }
+    else if (err instanceof EncodeError) {
+        err.path.unshift(key);
+        err.message = formatEncodeError(err);
+    }
+    return err;
+}
+
+function limitError( name, limit, offset, type ) {
+    return new DecodeError(name + ' ' + limit + ' exceeded', offset, type);
+}
+
+function truncatedError( buf, offset, type, need ) {
+    var have = buf.end - buf.pos;
+    return new DecodeError('truncated input, need ' + need + ' bytes but have ' + have, offset, type);
+}
+
+function hexCode( type ) {
+    return '0x' + (type < 16 ? '0' : '') + type.toString(16);
+}
+
 
 /** quicktest:
 
@@ -19,6 +19,7 @@ function PushBuffer( bytes ) {
     this.buf = bytes;
     this.pos = 0;
     this.end = bytes ? bytes.length : 0;
+    this.fixed = false;
 }
 
 // Note that varargs is much much slower (6x) if a named arg is also declared.
@@ -38,6 +39,7 @@ PushBuffer.prototype.poke = function(/* ,varargs */) {
     var end = arguments[0], buf = this.buf;
     for (var i = 1; i < arguments.length; i++) buf[end++] = arguments[i] & 0xff;
 }
+// nb: the shift*() methods do not check for reading past this.end, the caller must
 // FIXME: tricky to recover a signed 64-bit integer because cannot use >> to sign-extend
 PushBuffer.prototype.shiftBE = function shiftBE( n ) {
     var val = 0, buf = this.buf;
@@ -63,17 +65,19 @@ PushBuffer.prototype.shiftLE = function shiftLE( n ) {
     }
 }
 
-// little-endian variable-length integer FIXME: stored in a temp hack storage format
+// LEB128 unsigned varint: 7 bits per byte, least significant first, high bit set if more follow
+// Values up to 2^53 are exact, that takes at most 8 bytes.
 PushBuffer.prototype.pushVarint = function pushVarint( v ) {
-    this._growBuf(10);
+    for (var n = 1, x = v; x >= 128; x = Math.floor(x / 128)) n += 1;
+    this._growBuf(n);
     var buf = this.buf;
-    while (v >= 128) { buf[this.end++] = v & 0x7f; v /= 128 }
-    buf[this.end++] = v | 0x80;
+    while (v >= 128) { buf[this.end++] = (v & 0x7f) | 0x80; v = Math.floor(v / 128) }
+    buf[this.end++] = v;
 }
 PushBuffer.prototype.shiftVarint = function shiftVarint( ) {
     var ch, v = 0, buf = this.buf, scale = 1;
-    while ((ch = buf[this.pos++]) < 128) { v += scale * ch; scale *= 128 }
-    v += scale * (ch & 0x7f);
+    while ((ch = buf[this.pos++]) >= 128) { v += scale * (ch & 0x7f); scale *= 128 }
+    v += scale * ch;
     return v;
 }
 
@@ -196,7 +200,7 @@ PushBuffer.byteLength = function byteLength( s ) {
 
 PushBuffer.prototype.pushBytes = function pushBytes( bytes ) {
     var len = bytes.length;
-    this._growBuf(len + 1);
+    this._growBuf(len);
     for (var buf = this.buf, base = this.end, i = 0; i < len; i++) buf[base + i] = bytes[i];
     this.end += i;
 }
@@ -205,15 +209,18 @@ PushBuffer.prototype.shiftBytes = function shiftBytes( len ) {
 }
 
 PushBuffer.prototype.slice = function slice(base, bound) {
+    if (!this.buf) return allocBuf(0);
     return this.buf.slice(base || 0, bound || this.end);
 }
 
+// a fixed buffer (one written in place) cannot grow, and the reserved bytes must be exact
 PushBuffer.prototype._growBuf = function _growBuf( n ) {
     if ((this.end + n) > this.capacity) {
+        if (this.fixed) throw new RangeError('buffer overflow, need ' + (this.end + n) + ' bytes, have ' + this.capacity);
         var oldbuf = this.buf;
         this.capacity = (2 * this.capacity + 256 + 1.00 * n) >>> 0;
         this.buf = allocBuf(this.capacity);
-        if (oldbuf) for (var i = 0; i < oldbuf.length; i++) this.buf[i] = oldbuf[i];
+        if (oldbuf) oldbuf.copy(this.buf, 0, 0, this.end);
     }
 }
 PushBuffer.prototype.reserve = PushBuffer.prototype._growBuf;
@@ -0,0 +1,173 @@
+/*
+ * order-preserving key encoding, for use as sort keys in key-value stores
+ *
+ * Copyright (C) 2022,2023 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ *
+ * Encoded keys compare bytewise in the same order as the values they encode, similar to the
+ * FoundationDB tuple layer.  Values of different types sort by type, in the order
+ *
+ *     undefined < null < false < true < numbers < BigInts < Dates < strings < Buffers < arrays
+ *
+ * Numbers sort numerically, with NaN after Infinity and -0 the same as 0.  Strings sort in
+ * unicode codepoint order (utf8 byte order), Buffers bytewise, and arrays element by element,
+ * a shorter array before a longer one that starts with the same elements.
+ *
+ * Each value starts with a typecode byte.  Numbers and Dates are 8-byte floats with the sign bit
+ * flipped (negative values with all bits flipped), so that they compare as unsigned bytes.
+ * BigInts are a length byte offset from 0x80 (below 0x80 if negative) followed by the magnitude,
+ * inverted for negative values.  Strings and Buffers are their bytes with 0x00 escaped as
+ * 0x00 0xFF, ended by a 0x00.  Arrays are their elements, ended by a 0x00.
+ */
+
+'use strict';
+
+var PushBuffer = require('./pushbuf');
+var bjson = require('./bjson');
+
+var fromBuf = eval('parseFloat(process.versions.node) > 6 ? Buffer.from : Buffer');
+
+module.exports = {
+    encodeKey: encodeKey,
+    decodeKey: decodeKey,
+}
+
+var K_END       = 0x00;
+var K_UNDEFINED = 0x01;
+var K_NULL      = 0x02;
+var K_FALSE     = 0x03;
+var K_TRUE      = 0x04;
+var K_NUMBER    = 0x10;
+var K_BIGINT    = 0x11;
+var K_DATE      = 0x12;
+var K_STRING    = 0x20;
+var K_BYTES     = 0x21;
+var K_ARRAY     = 0x30;
+
+var MAX_BIGINT_BYTES = 127;
+
+function encodeKey( item ) {
+    var buf = new PushBuffer();
+    encodeKeyItem(buf, item);
+    return buf.slice();
+}
+
+function decodeKey( bytes ) {
+    var buf = new PushBuffer(bytes);
+    var item = decodeKeyItem(buf);
+    if (buf.pos < buf.end) throw new bjson.DecodeError('extra bytes after key', buf.pos);
+    return item;
+}
+
+function encodeKeyItem( buf, item ) {
+    switch (typeof item) {
+    case 'undefined':   buf.push(K_UNDEFINED); break;
+    case 'boolean':     buf.push(item ? K_TRUE : K_FALSE); break;
+    case 'number':      buf.push(K_NUMBER); encodeKeyFloat(buf, item); break;
+    case 'bigint':      encodeKeyBigInt(buf, item); break;
+    case 'string':      buf.push(K_STRING); encodeKeyBytes(buf, fromBuf(item, 'utf8')); break;
+    case 'object':
+        if (item === null) buf.push(K_NULL);
+        else if (Array.isArray(item)) {
+            buf.push(K_ARRAY);
+            for (var i = 0; i < item.length; i++) encodeKeyItem(buf, item[i]);
+            buf.push(K_END);
+        }
+        else if (Buffer.isBuffer(item)) { buf.push(K_BYTES); encodeKeyBytes(buf, item) }
+        else if (item instanceof Date) { buf.push(K_DATE); encodeKeyFloat(buf, item.getTime()) }
+        else if (item instanceof Number || item instanceof String || item instanceof Boolean) encodeKeyItem(buf, item.valueOf());
+        else throw new Error('cannot encode object as a key, use an array');
+        break;
+    default:
+        throw new Error(typeof item + ': cannot encode as a key');
+    }
+}
+
+function decodeKeyItem( buf ) {
+    var offset = buf.pos;
+    if (offset >= buf.end) throw new bjson.DecodeError('truncated key, no typecode', offset);
+    var type = buf.shiftBE(1);
+    switch (type) {
+    case K_UNDEFINED: return undefined;
+    case K_NULL: return null;
+    case K_FALSE: return false;
+    case K_TRUE: return true;
+    case K_NUMBER: return decodeKeyFloat(buf, offset, type);
+    case K_BIGINT: return decodeKeyBigInt(buf, offset, type);
+    case K_DATE: return new Date(decodeKeyFloat(buf, offset, type));
+    case K_STRING: return decodeKeyBytes(buf, offset, type).toString('utf8');
+    case K_BYTES: return decodeKeyBytes(buf, offset, type);
+    case K_ARRAY:
+        var arr = [];
+        while (buf.pos < buf.end && buf.buf[buf.pos] !== K_END) arr.push(decodeKeyItem(buf));
+        if (buf.pos >= buf.end) throw new bjson.DecodeError('truncated key, unterminated array', offset, type);
+        buf.pos += 1;
+        return arr;
+    default:
+        throw new bjson.DecodeError('key typecode not supported', offset, type);
+    }
+}
+
+// flip the sign bit of positive floats and all the bits of negative floats to sort as unsigned
+function encodeKeyFloat( buf, v ) {
+    if (v === 0) v = 0;
+    if (v !== v) v = NaN;
+    var base = buf.end;
+    buf.pushDoubleBE(v);
+    var bytes = buf.buf;
+    if (bytes[base] & 0x80) for (var i = base; i < base + 8; i++) bytes[i] ^= 0xff;
+    else bytes[base] ^= 0x80;
+}
+function decodeKeyFloat( buf, offset, type ) {
+    if (buf.pos + 8 > buf.end) throw new bjson.DecodeError('truncated key, need 8 bytes', offset, type);
+    var bytes = fromBuf(buf.shiftBytes(8));
+    if (bytes[0] & 0x80) bytes[0] ^= 0x80;
+    else for (var i = 0; i < 8; i++) bytes[i] ^= 0xff;
+    return bytes.readDoubleBE(0);
+}
+
+function encodeKeyBigInt( buf, v ) {
+    var neg = v < 0, hex = (neg ? -v : v).toString(16);
+    if (hex === '0') hex = '';
+    if (hex.length & 1) hex = '0' + hex;
+    var nbytes = hex.length / 2;
+    if (nbytes > MAX_BIGINT_BYTES) throw new Error('BigInt too large for a key');
+    buf.push(K_BIGINT, neg ? 0x80 - nbytes : 0x80 + nbytes);
+    for (var i = 0; i < hex.length; i += 2) {
+        var byte = parseInt(hex.slice(i, i + 2), 16);
+        buf.push(neg ? byte ^ 0xff : byte);
+    }
+}
+function decodeKeyBigInt( buf, offset, type ) {
+    if (typeof BigInt !== 'function') throw new bjson.DecodeError('BigInt not supported', offset, type);
+    if (buf.pos >= buf.end) throw new bjson.DecodeError('truncated key, no BigInt length', offset, type);
+    var lenByte = buf.shiftBE(1), neg = lenByte < 0x80, nbytes = neg ? 0x80 - lenByte : lenByte - 0x80;
+    if (buf.pos + nbytes > buf.end) throw new bjson.DecodeError('truncated key, need ' + nbytes + ' bytes', offset, type);
+    var hex = '';
+    for (var i = 0; i < nbytes; i++) {
+        var byte = buf.shiftBE(1);
+        if (neg) byte ^= 0xff;
+        hex += (byte < 16 ? '0' : '') + byte.toString(16);
+    }
+    var v = hex ? BigInt('0x' + hex) : BigInt(0);
+    return neg ? -v : v;
+}
+
+// strings and bytes are terminated by 0x00, and any 0x00 in the data is escaped as 0x00 0xFF
+function encodeKeyBytes( buf, bytes ) {
+    for (var i = 0; i < bytes.length; i++) {
+        if (bytes[i] === 0) buf.push(0, 0xff);
+        else buf.push(bytes[i]);
+    }
+    buf.push(K_END);
+}
+function decodeKeyBytes( buf, offset, type ) {
+    var out = [], bytes = buf.buf;
+    for (;;) {
+        if (buf.pos >= buf.end) throw new bjson.DecodeError('truncated key, unterminated string', offset, type);
+        var ch = bytes[buf.pos++];
+        if (ch !== 0) out.push(ch);
+        else if (buf.pos < buf.end && bytes[buf.pos] === 0xff) { out.push(0); buf.pos += 1 }
+        else return fromBuf(out);
+    }
+}
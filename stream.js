@@ -0,0 +1,117 @@
+/*
+ * length-prefixed bxson message streams, for transport over sockets and pipes
+ *
+ * Copyright (C) 2022,2023 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ *
+ * Each message is framed as a 4-byte big-endian byte count followed by that many bytes of
+ * encoded bxson.  The encode stream is written objects and emits framed bytes, the decode
+ * stream is written bytes in arbitrary chunks and emits the decoded objects.
+ */
+
+'use strict';
+
+var util = require('util');
+var Transform = require('stream').Transform;
+
+var bjson = require('./bjson');
+
+var allocBuf = eval('parseFloat(process.versions.node) > 6 ? Buffer.allocUnsafe : Buffer');
+
+module.exports = {
+    EncodeStream: EncodeStream,
+    DecodeStream: DecodeStream,
+}
+
+var HEADER_LENGTH = 4;
+var MAX_FRAME_SIZE = 64 * 1024 * 1024;
+
+function EncodeStream( options ) {
+    options = options || {};
+    Transform.call(this, { writableObjectMode: true });
+    this.options = options;
+    this.maxFrameSize = options.maxFrameSize || MAX_FRAME_SIZE;
+}
+util.inherits(EncodeStream, Transform);
+
+EncodeStream.prototype._transform = function _transform( item, encoding, cb ) {
+    if (item === undefined) return cb(new Error('undefined cannot be sent as a stream message'));
+    try { var bytes = bjson.encode(item, this.options) } catch (err) { return cb(err) }
+    if (bytes.length > this.maxFrameSize) {
+        return cb(new Error(bytes.length + ': frame too large, max ' + this.maxFrameSize));
+    }
+    var header = allocHeader(bytes.length);
+    this.push(header);
+    this.push(bytes);
+    cb();
+}
+
+function DecodeStream( options ) {
+    options = options || {};
+    Transform.call(this, { readableObjectMode: true });
+    this.options = options;
+    this.maxFrameSize = options.maxFrameSize || MAX_FRAME_SIZE;
+    this.chunks = [];
+    this.length = 0;
+    this.frameLength = -1;
+}
+util.inherits(DecodeStream, Transform);
+
+DecodeStream.prototype._transform = function _transform( chunk, encoding, cb ) {
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+    try { this._decodeFrames() } catch (err) { return cb(err) }
+    cb();
+}
+
+DecodeStream.prototype._flush = function _flush( cb ) {
+    if (this.length > 0 || this.frameLength >= 0) {
+        var expected = this.frameLength >= 0 ? this.frameLength : HEADER_LENGTH;
+        return cb(new Error('truncated frame, got ' + this.length + ' of ' + expected + ' bytes'));
+    }
+    cb();
+}
+
+// emit every complete frame, leave any partial frame for the next chunk
+DecodeStream.prototype._decodeFrames = function _decodeFrames( ) {
+    for (;;) {
+        if (this.frameLength < 0) {
+            if (this.length < HEADER_LENGTH) return;
+            this.frameLength = this._take(HEADER_LENGTH).readUInt32BE(0);
+            if (this.frameLength > this.maxFrameSize) {
+                throw new Error(this.frameLength + ': frame too large, max ' + this.maxFrameSize);
+            }
+            if (this.frameLength === 0) throw new bjson.DecodeError('empty frame, no item', 0);
+        }
+        if (this.length < this.frameLength) return;
+        // the frame must hold exactly one item
+        var ret = bjson.decodeAt(this._take(this.frameLength), 0, this.options), item = ret.value;
+        if (ret.end !== this.frameLength) {
+            throw new bjson.DecodeError('frame has ' + (this.frameLength - ret.end) + ' bytes after the item', ret.end);
+        }
+        this.frameLength = -1;
+        // an object-mode stream cannot carry null, and undefined is not a usable message
+        if (item === null || item === undefined) throw new Error(item + ': cannot be a stream message');
+        this.push(item);
+    }
+}
+
+// remove and return the next n bytes, combining chunks only if the bytes span more than one
+DecodeStream.prototype._take = function _take( n ) {
+    var chunk = this.chunks[0];
+    if (chunk.length < n) {
+        chunk = Buffer.concat(this.chunks, this.length);
+        this.chunks = [chunk];
+    }
+    var bytes = chunk.slice(0, n);
+    if (chunk.length === n) this.chunks.shift();
+    else this.chunks[0] = chunk.slice(n);
+    this.length -= n;
+    return bytes;
+}
+
+function allocHeader( len ) {
+    var header = allocBuf(HEADER_LENGTH);
+    header.writeUInt32BE(len, 0);
+    return header;
+}
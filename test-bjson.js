@@ -5,13 +5,18 @@ var bjson = require('./bjson');
 var encode = bjson.encode, decode = bjson.decode;
 
 var fromBuf = parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer;
+function toArray( buf ) { return [].slice.call(buf) }
 
 var T_UINT8 = 0x44;
 var T_UINT16 = 0x44 + 1;
 var T_UINT64 = 0x44 + 3;
 var T_NEGINT64 = 0x48 + 3;
+var T_UINT48 = 0x50;
+var T_NEGINT48 = 0x51;
+var T_UINT56 = 0x59;
+var T_NEGINT56 = 0x5A;
 var T_FLOAT32 = 0x4E;
-var T_NONESUCH = 0x55;
+var T_NONESUCH = 0x7F;
 
 // canonical test data
 var data = {
@@ -67,11 +72,777 @@ describe('bjson', function() {
         it('decodes huge integers', function() {
             assert.equal(decode([T_UINT64, 0, 0, 0, 0, 0, 0, 2, 1]), 513);
             assert.equal(decode([T_NEGINT64, 0, 0, 0, 0, 0, 0, 2, 1]), -513);
+            assert.strictEqual(decode([T_UINT64, 0, 0x1f, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), 9007199254740991);
+            assert.strictEqual(decode([T_NEGINT64, 0, 0x1f, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), -9007199254740991);
+        })
+        it('rejects integers that lose precision', function() {
+            assert.throws(function() { decode([T_UINT64, 0, 0x20, 0, 0, 0, 0, 0, 0]) }, /too large/);
+            assert.throws(function() { decode([T_NEGINT64, 0xff, 0, 0, 0, 0, 0, 0, 1]) }, /too large/);
+        })
+        it('decodes 48-bit integers', function() {
+            assert.strictEqual(decode([T_UINT48, 1, 2, 3, 4, 5, 6]), 0x010203040506);
+            assert.strictEqual(decode([T_NEGINT48, 1, 2, 3, 4, 5, 6]), -0x010203040506);
+        })
+        it('decodes 56-bit integers', function() {
+            assert.strictEqual(decode([T_UINT56, 1, 2, 3, 4, 5, 6, 7]), 0x01020304050607);
+            assert.strictEqual(decode([T_NEGINT56, 0x1f, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), -9007199254740991);
+            assert.throws(function() { decode([T_UINT56, 0x20, 0, 0, 0, 0, 0, 0]) }, /too large/);
+            assert.throws(function() { decode([T_UINT56, 1, 2, 3]) }, /truncated/);
+            if (typeof BigInt !== 'function') return;
+            assert.strictEqual(decode([T_NEGINT56, 0x20, 0, 0, 0, 0, 0, 0], { int64AsBigInt: true }), -BigInt(0x20000000000000));
         })
         describe('errors', function() {
             it('invalid type', function() {
                 assert.throws(function(){ decode([T_NONESUCH, 1, 2, 3, 4]) }, /not supported/);
             })
+            it('throws DecodeError', function() {
+                try { decode([T_NONESUCH]); assert.fail() }
+                catch (err) {
+                    assert.ok(err instanceof bjson.DecodeError);
+                    assert.ok(err instanceof Error);
+                    assert.equal(err.name, 'DecodeError');
+                    assert.equal(err.offset, 0);
+                    assert.equal(err.typecode, T_NONESUCH);
+                    assert.deepEqual(err.path, []);
+                }
+            })
+            it('unassigned length-counted types', function() {
+                var codes = [0xA8, 0xAC, 0xB4, 0xB8, 0xBC];
+                for (var i = 0; i < codes.length; i++) {
+                    assert.throws(function(){ decode([codes[i], 0]) }, /not supported/);
+                }
+            })
+            it('empty input', function() {
+                assert.throws(function(){ decode([]) }, /truncated/);
+            })
+            it('truncated fixed-length values', function() {
+                assert.throws(function(){ decode([T_UINT16, 1]) }, /truncated/);
+                assert.throws(function(){ decode([T_UINT64, 0, 0, 0, 0]) }, /truncated/);
+                assert.throws(function(){ decode([T_FLOAT32, 0, 0]) }, /truncated/);
+                assert.throws(function(){ decode(encode(0.1).slice(0, 8)) }, /truncated/);
+            })
+            it('truncated length bytes', function() {
+                assert.throws(function(){ decode([0x81, 1]) }, /truncated/);
+            })
+            it('length past end of input', function() {
+                assert.throws(function(){ decode(encode('hello').slice(0, 4)) }, /past end/);
+                assert.throws(function(){ decode(encode(fromBuf('hello')).slice(0, 4)) }, /past end/);
+                assert.throws(function(){ decode([0xA2, 0xFF, 0xFF, 0xFF, 0xFF, 1, 2]) }, /past end/);
+                assert.throws(function(){ decode([0xF2, 1, 2]) }, /past end/);
+            })
+            it('reports offset, typecode and path', function() {
+                var bytes = encode({ a: 1, req: { headers: [1, 2, { host: 'localhost' }] } });
+                try { decode(bytes.slice(0, bytes.length - 3)); assert.fail() }
+                catch (err) {
+                    assert.ok(err instanceof bjson.DecodeError);
+                    assert.deepEqual(err.path, ['req', 'headers', 2, 'host']);
+                    assert.equal(err.typecode, 0xC9);
+                    assert.equal(bytes[err.offset], 0xC9);
+                    assert.ok(/req.headers\[2\].host/.test(err.message));
+                }
+            })
+        })
+        describe('limits', function() {
+            function decodeLimit( bytes, options ) {
+                try { decode(bytes, options) } catch (err) { return err }
+            }
+            it('maxDepth', function() {
+                var bytes = encode([[[[1]]]]);
+                assert.deepEqual(decode(bytes, { maxDepth: 4 }), [[[[1]]]]);
+                var err = decodeLimit(bytes, { maxDepth: 3 });
+                assert.ok(err instanceof bjson.DecodeError);
+                assert.ok(/maxDepth 3 exceeded/.test(err.message));
+                assert.deepEqual(err.path, [0, 0, 0]);
+                assert.ok(/maxDepth/.test(decodeLimit(encode({ a: { b: {} } }), { maxDepth: 2 }).message));
+            })
+            it('maxDepth stops deep nesting before overflowing the stack', function() {
+                var bytes = []; for (var i = 0; i < 100000; i++) bytes.push(0xE1); bytes.push(1);
+                assert.ok(/maxDepth/.test(decodeLimit(bytes, { maxDepth: 100 }).message));
+                assert.ok(/maxDepth 1000 exceeded/.test(decodeLimit(bytes).message));
+                assert.ok(/maxDepth 1000 exceeded/.test(decodeLimit(bytes, { maxDepth: -1 }).message));
+            })
+            it('maxDepth can be raised past the default', function() {
+                var item = 1;
+                for (var i = 0; i < 1200; i++) item = [item];
+                var bytes = encode(item);
+                assert.ok(/maxDepth 1000 exceeded/.test(decodeLimit(bytes).message));
+                assert.deepEqual(decode(bytes, { maxDepth: 1200 }), item);
+                assert.deepEqual(decode(bytes, { maxDepth: Infinity }), item);
+            })
+            it('maxArrayLength', function() {
+                var bytes = encode([1, 2, 3, [4, 5, 6, 7]]);
+                assert.deepEqual(decode(bytes, { maxArrayLength: 4 }), [1, 2, 3, [4, 5, 6, 7]]);
+                var err = decodeLimit(bytes, { maxArrayLength: 3 });
+                assert.ok(/maxArrayLength 3 exceeded/.test(err.message));
+                assert.equal(err.offset, 0);
+            })
+            it('maxArrayLength checked before allocating', function() {
+                // a 100k-element array of 1s
+                var bytes = fromBuf(new Array(100000 + 6).join('\x01'));
+                bytes[0] = 0xA2, bytes[1] = 0, bytes[2] = 1, bytes[3] = 0x86, bytes[4] = 0xA0;
+                assert.equal(decode(bytes).length, 100000);
+                assert.ok(/maxArrayLength 1000 exceeded/.test(decodeLimit(bytes, { maxArrayLength: 1000 }).message));
+            })
+            it('maxObjectKeys', function() {
+                var bytes = encode({ a: 1, b: { c: 2, d: 3, e: 4 } });
+                assert.deepEqual(decode(bytes, { maxObjectKeys: 3 }), { a: 1, b: { c: 2, d: 3, e: 4 } });
+                var err = decodeLimit(bytes, { maxObjectKeys: 2 });
+                assert.ok(/maxObjectKeys 2 exceeded/.test(err.message));
+                assert.deepEqual(err.path, ['b']);
+            })
+            it('maxStringLength', function() {
+                assert.equal(decode(encode('hello'), { maxStringLength: 5 }), 'hello');
+                assert.ok(/maxStringLength/.test(decodeLimit(encode('hello'), { maxStringLength: 4 }).message));
+                assert.ok(/maxStringLength/.test(decodeLimit(encode(fromBuf('hello')), { maxStringLength: 4 }).message));
+                assert.ok(/maxStringLength/.test(decodeLimit(encode({ hello: 1 }), { maxStringLength: 4 }).message));
+            })
+            it('maxTotalItems', function() {
+                var bytes = encode([1, [2, 3], { a: 4 }]);
+                assert.deepEqual(decode(bytes, { maxTotalItems: 8 }), [1, [2, 3], { a: 4 }]);
+                assert.ok(/maxTotalItems 7 exceeded/.test(decodeLimit(bytes, { maxTotalItems: 7 }).message));
+                assert.ok(/maxTotalItems/.test(decodeLimit(bytes, { maxTotalItems: 2 }).message));
+            })
+        })
+        describe('object keys', function() {
+            it('decodes __proto__ as an own property', function() {
+                var obj = JSON.parse('{"a":1,"__proto__":{"polluted":true},"b":{"__proto__":[1]}}');
+                var obj2 = decode(encode(obj));
+                assert.equal(Object.getPrototypeOf(obj2), Object.prototype);
+                assert.strictEqual(obj2.polluted, undefined);
+                assert.deepEqual(Object.keys(obj2), ['a', '__proto__', 'b']);
+                assert.deepEqual(Object.getOwnPropertyDescriptor(obj2, '__proto__').value, { polluted: true });
+                assert.equal(Object.getPrototypeOf(obj2.b), Object.prototype);
+                assert.deepEqual(Object.getOwnPropertyDescriptor(obj2.b, '__proto__').value, [1]);
+                assert.strictEqual({}.polluted, undefined);
+            })
+            it('safeKeys:false assigns keys', function() {
+                var obj = JSON.parse('{"a":1,"__proto__":{"polluted":true}}');
+                var obj2 = decode(encode(obj), { safeKeys: false });
+                assert.strictEqual(obj2.polluted, true);
+                assert.deepEqual(Object.keys(obj2), ['a']);
+                assert.deepEqual(decode([0xF1, 0x01, 0x02], { safeKeys: false }), { 1: 2 });
+            })
+            it('rejects non-string keys', function() {
+                // { 1: 2 } with a numeric key
+                assert.throws(function() { decode([0xF1, 0x01, 0x02]) }, /key must be a string/);
+                try { decode([0xF2, 0xC1, 0x61, 0x01, 0x40, 0x02]); assert.fail() }
+                catch (err) {
+                    assert.ok(err instanceof bjson.DecodeError);
+                    assert.equal(err.offset, 4);
+                    assert.equal(err.typecode, 0x40);
+                    assert.ok(/not object/.test(err.message));
+                }
+            })
+            it('nullPrototype', function() {
+                var obj = decode(encode({ a: { b: 1 }, __proto__: null }), { nullPrototype: true });
+                assert.strictEqual(Object.getPrototypeOf(obj), null);
+                assert.strictEqual(Object.getPrototypeOf(obj.a), null);
+                assert.equal(obj.a.b, 1);
+                var obj2 = decode(encode(JSON.parse('{"__proto__":{"x":1}}')), { nullPrototype: true });
+                assert.deepEqual(Object.keys(obj2), ['__proto__']);
+                assert.strictEqual(obj2.x, undefined);
+            })
+        })
+    })
+
+    describe('encodeInto and encodedLength', function() {
+        var items = [null, 7, -100, 70000, 1e10, -1e15, 1.5, 0.1, NaN, 'abc', new Array(200).join('é'), fromBuf([1, 2, 3]),
+            [1, [2, 'three']], { a: 1, b: { c: [true, false] } }, new Date(1000), new Uint32Array([1, 2])];
+        var options = [undefined, { dates: true }, { varints: true }, { stringRefs: true }, { float32: true }, { canonical: true }];
+
+        it('encodeInto writes the encoded bytes at the offset', function() {
+            for (var i = 0; i < items.length; i++) {
+                var target = fromBuf(new Array(2000 + 1).join('ÿ'), 'latin1');
+                var expect = encode(items[i]);
+                var end = bjson.encodeInto(items[i], target, 10);
+                assert.equal(end, 10 + expect.length);
+                assert.deepEqual(target.slice(10, end), expect);
+                assert.equal(target[end], 0xff);
+            }
+        })
+        it('encodeInto writes into a Uint8Array', function() {
+            var target = new Uint8Array(20);
+            var end = bjson.encodeInto({ a: 'bc' }, target);
+            assert.deepEqual(fromBuf(target.buffer, 0, end), encode({ a: 'bc' }));
+        })
+        it('encodeInto throws RangeError if the item does not fit', function() {
+            for (var j = 0; j < options.length; j++) {
+                for (var i = 0; i < items.length; i++) {
+                    var len = encode(items[i], options[j]).length;
+                    assert.equal(bjson.encodeInto(items[i], fromBuf(new Array(len + 3 + 1).join('x')), 3, options[j]), len + 3);
+                    assert.throws(function() { bjson.encodeInto(items[i], fromBuf(new Array(len + 3).join('x')), 3, options[j]) }, RangeError);
+                }
+            }
+        })
+        it('encodeInto rejects bad offsets', function() {
+            assert.throws(function() { bjson.encodeInto(1, fromBuf('xxxx'), 5) }, /offset out of range/);
+            assert.throws(function() { bjson.encodeInto(1, fromBuf('xxxx'), -1) }, /offset out of range/);
+        })
+        it('encodedLength returns the encoded size', function() {
+            for (var j = 0; j < options.length; j++) {
+                for (var i = 0; i < items.length; i++) {
+                    assert.equal(bjson.encodedLength(items[i], options[j]), encode(items[i], options[j]).length);
+                }
+            }
+            assert.equal(bjson.encodedLength(new Array(100000).join('x')), encode(new Array(100000).join('x')).length);
+        })
+        it('encodedLength sizes all types and options without writing', function() {
+            var shared = { s: 'shared' };
+            var more = [
+                '', new Map([['k', new Set([1, 'k'])]]), [shared, shared, 'shared'], [{ a: 1, b: 'x' }, { a: 2, b: 'y' }],
+                [1e300, -Math.pow(2, 60), 123456789, 0.25], new Float64Array([1.5, 2]), { toJSON: function() { return 'j' } },
+            ];
+            if (typeof BigInt === 'function') more.push([BigInt(5), BigInt('-123456789012345678901234567890')]);
+            var moreOptions = options.concat({ refs: true }, { tables: true, stringRefs: true }, { replacer: ['a'] }, { varints: true, float32: true });
+            for (var j = 0; j < moreOptions.length; j++) {
+                for (var i = 0; i < more.length; i++) {
+                    assert.equal(bjson.encodedLength(more[i], moreOptions[j]), encode(more[i], moreOptions[j]).length, i + ', ' + j);
+                }
+            }
+        })
+        it('encodedLength can be called from a replacer', function() {
+            var sizes = [];
+            function replacer(key, value) { if (key) sizes.push(bjson.encodedLength(value)); return value }
+            assert.equal(bjson.encodedLength({ a: 'hello', b: [1, 2] }, { replacer: replacer }), 14);
+            assert.deepEqual(sizes, [6, 3, 1, 1]);
+        })
+    })
+
+    describe('decodeAt, decodeAll and decodeIterator', function() {
+        var items = [1, 'two', [3], { four: 4 }, null, undefined, 1.5, fromBuf([6])];
+        var parts = items.map(function(item) { return encode(item) });
+        var bytes = Buffer.concat(parts);
+
+        it('decodeAt returns the value and end offset', function() {
+            var offset = 0;
+            for (var i = 0; i < items.length; i++) {
+                var ret = bjson.decodeAt(bytes, offset);
+                assert.deepStrictEqual(ret.value, items[i]);
+                offset += parts[i].length;
+                assert.equal(ret.end, offset);
+            }
+            assert.deepEqual(bjson.decodeAt(encode('abc')), { value: 'abc', end: 4 });
+        })
+        it('decodeAt reports the offset of errors', function() {
+            var bytes = Buffer.concat([encode('abc'), fromBuf([T_NONESUCH])]);
+            try { bjson.decodeAt(bytes, 4); assert.fail() }
+            catch (err) { assert.ok(err instanceof bjson.DecodeError); assert.equal(err.offset, 4) }
+        })
+        it('decodeAll returns all the items', function() {
+            assert.deepStrictEqual(bjson.decodeAll(bytes), items);
+            assert.deepStrictEqual(bjson.decodeAll(fromBuf([])), []);
+        })
+        it('decodes each item with its own string references', function() {
+            var bytes = Buffer.concat([encode(['abc', 'abc'], { stringRefs: true }), encode(['abc', 'abc'], { stringRefs: true })]);
+            assert.deepEqual(bjson.decodeAll(bytes), [['abc', 'abc'], ['abc', 'abc']]);
+        })
+        it('applies the decode options to each item', function() {
+            var bytes = Buffer.concat([encode({ a: 1, b: 2 }), encode({ a: 3, b: 4 })]);
+            assert.deepEqual(bjson.decodeAll(bytes, { fields: ['b'] }), [{ b: 2 }, { b: 4 }]);
+        })
+        it('decodeAll throws on a truncated last item', function() {
+            assert.throws(function() { bjson.decodeAll(bytes.slice(0, bytes.length - 1)) }, bjson.DecodeError);
+        })
+        it('decodeIterator returns the items', function() {
+            var it = bjson.decodeIterator(bytes), got = [];
+            for (var ret = it.next(); !ret.done; ret = it.next()) got.push(ret.value);
+            assert.deepStrictEqual(got, items);
+            assert.deepEqual(it.next(), { value: undefined, done: true });
+        })
+        it('decodeIterator is done after an error', function() {
+            var it = bjson.decodeIterator(Buffer.concat([encode(1), fromBuf([T_NONESUCH]), encode(2)]));
+            assert.deepEqual(it.next(), { value: 1, done: false });
+            assert.throws(function() { it.next() }, bjson.DecodeError);
+            assert.equal(it.next().done, true);
+        })
+        it('decodeIterator is iterable', function() {
+            if (typeof Symbol !== 'function' || !Symbol.iterator) this.skip();
+            var it = bjson.decodeIterator(bytes);
+            assert.strictEqual(it[Symbol.iterator](), it);
+        })
+    })
+
+    describe('skip and get', function() {
+        var record = {
+            level: 'info',
+            req: { url: '/a/b', headers: { host: 'example.com', accept: ['text/html', 'text/plain'] } },
+            big: new Array(100).join('x'),
+            times: [1, 2.5, -3, 1e10, 1e100],
+            tail: 'end',
+        };
+        var items = [null, undefined, true, 7, -100, 1234567, 1.5, 0.1, 1e15, -1e15, 'abc', new Array(300).join('y'),
+            fromBuf([1, 2, 3]), [], [1, [2, [3]]], {}, { a: { b: 'c' } }, record];
+
+        it('skip returns the offset of the next item', function() {
+            var options = [{}, { varints: true }, { stringRefs: true }, { dates: true }];
+            for (var j = 0; j < options.length; j++) {
+                var parts = items.map(function(item) { return encode(item, options[j]) });
+                var bytes = Buffer.concat(parts), offset = 0;
+                for (var i = 0; i < parts.length; i++) {
+                    offset = bjson.skip(bytes, offset);
+                    assert.equal(offset, Buffer.concat(parts.slice(0, i + 1)).length);
+                }
+            }
+        })
+        it('skips extended types', function() {
+            var tests = [new Date(1), new Set([1, 'a']), new Map([['a', [1]]]), new Uint16Array([1, 2]), new bjson.Extension(7, fromBuf([1]))];
+            if (typeof BigInt === 'function') tests.push(BigInt(1), BigInt('0x1234567890abcdef1234'), BigInt(-5));
+            for (var i = 0; i < tests.length; i++) {
+                var bytes = Buffer.concat([encode(tests[i], { dates: true }), encode(tests[i], { dates: true, varints: true })]);
+                var offset = bjson.skip(bytes, 0);
+                assert.equal(bjson.skip(bytes, offset), bytes.length);
+            }
+        })
+        it('skip throws on truncated input', function() {
+            var bytes = encode(record);
+            for (var i = 0; i < bytes.length; i++) {
+                assert.throws(function() { bjson.skip(bytes.slice(0, i), 0) }, bjson.DecodeError);
+            }
+        })
+        it('get returns the value at the path', function() {
+            var bytes = encode(record);
+            assert.equal(bjson.get(bytes, 'level'), 'info');
+            assert.equal(bjson.get(bytes, 'req.url'), '/a/b');
+            assert.equal(bjson.get(bytes, 'req.headers.host'), 'example.com');
+            assert.equal(bjson.get(bytes, 'req.headers.accept.1'), 'text/plain');
+            assert.equal(bjson.get(bytes, ['req', 'headers', 'accept', 1]), 'text/plain');
+            assert.equal(bjson.get(bytes, ['times', 4]), 1e100);
+            assert.equal(bjson.get(bytes, 'tail'), 'end');
+            assert.deepEqual(bjson.get(bytes, 'req.headers'), record.req.headers);
+            assert.deepEqual(bjson.get(bytes, []), record);
+        })
+        it('get returns undefined if the path is not found', function() {
+            var bytes = encode(record);
+            var paths = ['nonesuch', 'level.x', 'req.headers.accept.2', 'times.-1', 'times.1.5', 'times.x', ['req', 'url', 0]];
+            for (var i = 0; i < paths.length; i++) assert.strictEqual(bjson.get(bytes, paths[i]), undefined);
+        })
+        it('get resolves string references', function() {
+            var item = [{ name: 'alpha', kind: 'x' }, { name: 'beta', kind: 'alpha' }, { name: 'gamma', kind: 'beta' }];
+            var bytes = encode(item, { stringRefs: true });
+            assert.equal(bjson.get(bytes, '2.kind'), 'beta');
+            assert.equal(bjson.get(bytes, '1.kind'), 'alpha');
+            assert.equal(bjson.get(bytes, '2.name'), 'gamma');
+        })
+        it('get finds Map values', function() {
+            var bytes = encode({ m: new Map([[1, 'one'], ['2', 'two']]) });
+            assert.equal(bjson.get(bytes, ['m', 1]), 'one');
+            assert.equal(bjson.get(bytes, 'm.2'), 'two');
+            assert.strictEqual(bjson.get(bytes, 'm.1'), undefined);
+        })
+        it('decode fields projects the object', function() {
+            var bytes = encode(record);
+            assert.deepEqual(decode(bytes, { fields: ['req.url', 'level'] }), { level: 'info', req: { url: '/a/b' } });
+            assert.deepEqual(decode(bytes, { fields: ['req.headers.host', 'req'] }), { req: record.req });
+            assert.deepEqual(decode(bytes, { fields: ['req', 'req.headers.host'] }), { req: record.req });
+            assert.deepEqual(decode(bytes, { fields: [['times'], 'level.x', 'nonesuch'] }), { times: record.times });
+            assert.deepEqual(decode(encode(123), { fields: ['a'] }), 123);
+        })
+        it('decode fields resolves string references', function() {
+            var item = { a: 'hello', b: { c: 'hello', d: 'world' }, e: 'world' };
+            var bytes = encode(item, { stringRefs: true });
+            assert.deepEqual(decode(bytes, { fields: ['e', 'b.c'] }), { b: { c: 'hello' }, e: 'world' });
+        })
+        it('decode fields reports the error path', function() {
+            var bytes = encode({ a: { b: 'xyz' } });
+            try { decode(bytes.slice(0, bytes.length - 1), { fields: ['a.b'] }); assert.fail() }
+            catch (err) { assert.ok(err instanceof bjson.DecodeError); assert.deepEqual(err.path, ['a', 'b']) }
+        })
+        it('get and decode fields check object keys like decode', function() {
+            var bytes = fromBuf([0xF2, 0x01, 0x05, 0xC1, 0x61, 0x02]);
+            assert.throws(function() { decode(bytes) }, /object key must be a string/);
+            assert.throws(function() { decode(bytes, { fields: ['a'] }) }, /object key must be a string/);
+            assert.throws(function() { bjson.get(bytes, 'a') }, /object key must be a string/);
+            assert.deepEqual(decode(bytes, { fields: ['1', 'a'], safeKeys: false }), { 1: 5, a: 2 });
+            assert.strictEqual(bjson.get(bytes, '1', { safeKeys: false }), 5);
+        })
+    })
+
+    describe('inspect', function() {
+        function brief( tokens ) {
+            return tokens.map(function(t) { return [t.offset, t.type, t.length, t.value, t.path.join('.'), t.size] });
+        }
+        it('lists the tokens of an item', function() {
+            var tokens = bjson.inspect(encode({ a: [1, 'bc'], d: null, e: 300 }));
+            assert.deepEqual(brief(tokens), [
+                [0, 'T_OBJECTI+3', 3, undefined, '', 1],
+                [1, 'T_STRINGI+1', 1, 'a', '', 2],
+                [3, 'T_ARRAYI+2', 2, undefined, 'a', 1],
+                [4, 'T_INTI+1', undefined, 1, 'a.0', 1],
+                [5, 'T_STRINGI+2', 2, 'bc', 'a.1', 3],
+                [8, 'T_STRINGI+1', 1, 'd', '', 2],
+                [10, 'T_NULL', undefined, null, 'd', 1],
+                [11, 'T_STRINGI+1', 1, 'e', '', 2],
+                [13, 'T_UINTB+1', undefined, 300, 'e', 3],
+            ]);
+            assert.equal(tokens[1].key, true);
+            assert.equal(tokens[2].key, undefined);
+            assert.equal(tokens[8].typecode, 0x45);
+        })
+        it('names the extended types', function() {
+            var item = [new Date(0), new Map([['k', new Set([1])]]), fromBuf([1, 2]), new Uint8Array(2), -1e10, 1.5, 'abc', 'abc'];
+            var types = bjson.inspect(encode(item, { dates: true, stringRefs: true })).map(function(t) { return t.type });
+            assert.deepEqual(types, ['T_ARRAYI+8', 'T_DATE', 'T_MAPB', 'T_STRINGI+1', 'T_SETB', 'T_INTI+1',
+                'T_BYTESI+2', 'T_TYPEDB', 'T_NEGINT48', 'T_FLOAT32', 'T_STRDEF', 'T_STRREFB']);
+        })
+        it('lists object references', function() {
+            var a = [];
+            a.push(a);
+            assert.deepEqual(brief(bjson.inspect(encode(a, { refs: true }))), [
+                [0, 'T_REFS', undefined, undefined, '', 1],
+                [1, 'T_ARRAYI+1', 1, undefined, '', 1],
+                [2, 'T_OBJREFB', 0, 0, '0', 2],
+            ]);
+        })
+        it('lists concatenated items', function() {
+            var tokens = bjson.inspect(Buffer.concat([encode(['ab', 'ab'], { stringRefs: true }), encode('ab')]));
+            assert.deepEqual(tokens.map(function(t) { return [t.offset, t.value] }), [[0, undefined], [1, 'ab'], [5, 'ab'], [7, 'ab']]);
+        })
+        it('flags malformed bytes and carries on', function() {
+            var tokens = bjson.inspect(fromBuf([0xE4, 1, T_NONESUCH, 0xA8, 2, 0xC5, 0x61]));
+            assert.deepEqual(tokens.map(function(t) { return [t.offset, t.type, t.path.join('.'), t.error] }), [
+                [0, 'T_ARRAYI+4', '', undefined],
+                [1, 'T_INTI+1', '0', undefined],
+                [2, 'unknown', '1', 'typecode not supported'],
+                [3, 'unknown', '2', 'typecode not supported'],
+                [4, 'T_INTI+2', '3', undefined],
+                [5, 'T_STRINGI+5', '', 'length 5 runs past end of input'],
+            ]);
+        })
+        it('does not throw on any truncation', function() {
+            var bytes = encode({ a: [1, 'bc', new Map([[1, 2.5]])], b: 'xyz' });
+            for (var i = 0; i < bytes.length; i++) {
+                var tokens = bjson.inspect(bytes.slice(0, i));
+                assert.ok(i === 0 || tokens.length > 0);
+            }
+        })
+        it('lists the items of truncated containers once', function() {
+            var tokens = bjson.inspect([0xE2, 0xC5, 0x61]);
+            assert.deepEqual(tokens.map(function(t) { return [t.offset, t.error] }), [
+                [0, 'truncated input, have 1 of 2 items'],
+                [1, 'length 5 runs past end of input'],
+            ]);
+            tokens = bjson.inspect(fromBuf(new Array(41).join('\xe2'), 'latin1'));
+            assert.equal(tokens.length, 40);
+        })
+        it('flags deep nesting instead of overflowing the stack', function() {
+            var tokens = bjson.inspect(fromBuf(new Array(20001).join('\xe1'), 'latin1'));
+            assert.equal(tokens.length, 20000);
+            assert.equal(tokens[256].error, 'maxDepth 256 exceeded');
+            assert.equal(tokens[256].path.length, 256);
+            tokens = bjson.inspect(encode([[1]]), { maxDepth: 1 });
+            assert.deepEqual(tokens.map(function(t) { return t.error }), [undefined, 'maxDepth 1 exceeded', undefined]);
+            tokens = bjson.inspect(fromBuf(new Array(1001).join('\x58'), 'latin1'));
+            assert.equal(tokens[1].error, 'object references already enabled');
+        })
+    })
+
+    describe('fromJSON and toJSON', function() {
+        var texts = [
+            '1', '-0', '0.1', '1e400', '-1.5e-7', '12345678901', '"a\\u00e9\\ud83d\\ude00\\ud800\\n\\"\\/"', '"é中😀"',
+            '[]', '{}', ' [ 1 , [ ] , { } , "x" , true , false , null ]\n', '{"a":{"b":[1,{"c":"d"}]},"e":"fgh"}',
+            '{"b":1,"2":2,"1":3,"a":4,"b":5}', '{"a":1,"__proto__":{"x":1},"a":2}', '{"4294967295":1,"4294967294":2,"01":3,"1":4}',
+            JSON.stringify(new Array(300).join('x').split('').map(function(x, i) { return { id: i, name: 'n' + i % 7 } })),
+            JSON.stringify({ a: new Array(70000).join('x').split('') }),
+        ];
+        var optionsList = [undefined, { stringRefs: true }, { canonical: true }, { varints: true, float32: true }, { refs: true }];
+
+        it('transcodes JSON to the same bytes as encode', function() {
+            for (var i = 0; i < texts.length; i++) {
+                for (var j = 0; j < optionsList.length; j++) {
+                    assert.deepEqual(bjson.fromJSON(texts[i], optionsList[j]), encode(JSON.parse(texts[i]), optionsList[j]));
+                }
+            }
+        })
+        it('transcodes a Buffer of JSON', function() {
+            assert.deepEqual(bjson.fromJSON(fromBuf('{"é":[1]}')), encode({ 'é': [1] }));
+        })
+        it('applies the replacer', function() {
+            var replacer = function(k, v) { return typeof v === 'number' ? v + 1 : v };
+            assert.deepEqual(bjson.fromJSON('{"a":[1]}', { replacer: replacer }), encode({ a: [2] }));
+        })
+        it('rejects malformed JSON', function() {
+            var bad = ['', '[1,]', '{"a":1,}', '01', '1.', '.5', '+1', '"\u0001"', '"\\x"', 'tru', '[1] 2', "'a'",
+                '{a:1}', 'NaN', '"\\u12"', '[', '{"a"', '{"a" 1}', '-', '1e', '"abc'];
+            for (var i = 0; i < bad.length; i++) {
+                assert.throws(function() { bjson.fromJSON(bad[i]) }, SyntaxError);
+            }
+            assert.throws(function() { bjson.fromJSON('[1,]') }, /unexpected token "]" in JSON at position 3/);
+            assert.throws(function() { bjson.fromJSON('[1') }, /unexpected end of JSON input/);
+        })
+
+        it('transcodes bytes to the same JSON as decode', function() {
+            var shared = { s: 1 };
+            var items = [null, 'str', 1.5, [undefined, 1, NaN, -0, Infinity], { a: undefined, b: 1 }, { '2': 1, b: 2, '1': 3 }, [shared, shared],
+                { x: [new Date(0), new Map([['a', 1]]), new Set([1]), fromBuf([1, 2]), new Uint16Array([1, 2]), 'é\u0001"\\']}];
+            for (var i = 0; i < texts.length; i++) items.push(JSON.parse(texts[i]));
+            for (var i = 0; i < items.length; i++) {
+                for (var j = 0; j < optionsList.length; j++) {
+                    var options = optionsList[j] || {};
+                    if (options.canonical) continue;
+                    var bytes = encode(items[i], { dates: true, stringRefs: options.stringRefs, refs: options.refs, varints: options.varints });
+                    assert.strictEqual(bjson.toJSON(bytes), JSON.stringify(decode(bytes)));
+                }
+            }
+        })
+        it('transcodes an array of bytes', function() {
+            var item = { a: new Array(100).join('x'), b: 'é' };
+            assert.strictEqual(bjson.toJSON(toArray(encode(item))), JSON.stringify(item));
+        })
+        it('transcodes undefined', function() {
+            assert.strictEqual(bjson.toJSON(encode(undefined)), undefined);
+            assert.strictEqual(bjson.toJSON(encode([undefined])), '[null]');
+            assert.strictEqual(bjson.toJSON(encode({ a: undefined })), '{}');
+        })
+        it('lists properties in the order of the decoded object', function() {
+            // { b: 1, 2: 2, b: undefined, 1: 3 }
+            var bytes = Buffer.concat([fromBuf([0xF4]), encode('b'), encode(1), encode('2'), encode(2),
+                encode('b'), encode(undefined), encode('1'), encode(3)]);
+            assert.strictEqual(bjson.toJSON(bytes), '{"1":3,"2":2}');
+            assert.strictEqual(bjson.toJSON(bytes), JSON.stringify(decode(bytes)));
+        })
+        it('applies the decode options', function() {
+            var bytes = encode({ a: [1, 'bc', { d: [1, 2, 3] }], e: 'xyz' });
+            assert.throws(function() { bjson.toJSON(bytes, { maxDepth: 2 }) }, /maxDepth/);
+            assert.throws(function() { bjson.toJSON(bytes, { maxArrayLength: 2 }) }, /maxArrayLength/);
+            assert.throws(function() { bjson.toJSON(bytes, { maxStringLength: 2 }) }, /maxStringLength/);
+            assert.strictEqual(bjson.toJSON(bytes, { reviver: function(k, v) { return k === 'e' ? undefined : v } }), '{"a":[1,"bc",{"d":[1,2,3]}]}');
+        })
+        it('rejects malformed bytes', function() {
+            var bytes = encode({ a: [1, 'bc', { d: [1, 2, 3] }], e: 'xyz' });
+            for (var i = 0; i < bytes.length; i++) {
+                assert.throws(function() { bjson.toJSON(bytes.slice(0, i)) }, bjson.DecodeError);
+            }
+            assert.throws(function() { bjson.toJSON(fromBuf([0xF1, 1, 2])) }, /key must be a string/);
+        })
+    })
+
+    describe('tables', function() {
+        var rows = [
+            { id: 1, name: 'alpha', tags: ['x'], at: null },
+            { id: 2, name: 'beta', tags: [], at: 1.5 },
+            { id: 3, name: 'gamma', tags: ['y', 'z'], at: undefined },
+        ];
+
+        it('encodes arrays of same-keyed objects by column', function() {
+            var bytes = encode(rows, { tables: true });
+            assert.equal(bytes[0], 0xA4);
+            assert.ok(bytes.length < encode(rows).length);
+            assert.deepStrictEqual(decode(bytes), rows);
+            assert.deepStrictEqual(bjson.decode(encode({ a: [rows, rows] }, { tables: true })), { a: [rows, rows] });
+        })
+        it('decodes into column arrays with the columns option', function() {
+            var cols = decode(encode(rows, { tables: true }), { columns: true });
+            assert.deepStrictEqual(cols, { id: [1, 2, 3], name: ['alpha', 'beta', 'gamma'], tags: [['x'], [], ['y', 'z']], at: [null, 1.5, undefined] });
+            assert.equal(Object.getPrototypeOf(decode(encode(rows, { tables: true }), { columns: true, nullPrototype: true })), null);
+            assert.deepEqual(decode(encode([1, 2]), { columns: true }), [1, 2]);
+        })
+        it('leaves other arrays as arrays', function() {
+            var arrays = [
+                [{ a: 1 }], [{ a: 1 }, { b: 1 }], [{ a: 1, b: 2 }, { b: 2, a: 1 }], [{ a: 1 }, { a: 1, b: 2 }],
+                [{ a: 1 }, null], [{ a: 1 }, [1]], [{}, {}], [{ a: 1 }, new Date(0)], [{ a: 1 }, Object.create(null)],
+            ];
+            for (var i = 0; i < arrays.length; i++) {
+                assert.deepEqual(encode(arrays[i], { tables: true }), encode(arrays[i]));
+            }
+            var defined = rows.slice(0, 2);
+            assert.deepEqual(encode(defined, { tables: true, canonical: true }), encode(defined, { canonical: true }));
+            assert.deepEqual(encode(rows, { tables: true, refs: true }), encode(rows, { refs: true }));
+            assert.deepEqual(encode(rows, { tables: true, replacer: ['id'] }), encode(rows, { replacer: ['id'] }));
+        })
+        it('leaves rows with function and Symbol values to the object encoder', function() {
+            function fn() {}
+            var arrays = [[{ a: 1, f: fn }, { a: 2, f: fn }], [{ a: 1, s: Symbol('s') }, { a: 2, s: 1 }]];
+            for (var i = 0; i < arrays.length; i++) {
+                assert.deepEqual(encode(arrays[i], { tables: true }), encode(arrays[i]));
+            }
+        })
+        it('transcodes JSON to the same table bytes as encode', function() {
+            var text = JSON.stringify({ rows: rows, more: [{ a: 1, b: 2 }, { a: 3, b: 4 }] });
+            var options = [{ tables: true }, { tables: true, stringRefs: true }];
+            for (var i = 0; i < options.length; i++) {
+                assert.deepEqual(bjson.fromJSON(text, options[i]), encode(JSON.parse(text), options[i]));
+            }
+            assert.equal(bjson.fromJSON('[{"a":1,"b":2},{"a":3,"b":4}]', { tables: true })[0], 0xA4);
+        })
+        it('refers back to keys and strings with stringRefs', function() {
+            var bytes = encode([rows, rows], { tables: true, stringRefs: true });
+            assert.deepStrictEqual(decode(bytes), [rows, rows]);
+            assert.ok(bytes.length < encode([rows, rows], { tables: true }).length);
+        })
+        it('sets __proto__ keys as own properties', function() {
+            var row = JSON.parse('{"__proto__": 1}');
+            var arr = decode(encode([row, row], { tables: true }));
+            assert.equal(Object.getPrototypeOf(arr[1]), Object.prototype);
+            assert.equal(arr[1].__proto__, 1);
+        })
+        it('throws on cycles through a row', function() {
+            var cyclic = [{ a: 1 }, { a: 2 }];
+            cyclic[1].a = { b: cyclic[1] };
+            try { encode(cyclic, { tables: true }); assert.fail() }
+            catch (err) {
+                assert.ok(err instanceof bjson.EncodeError);
+                assert.deepEqual(err.path, [1, 'a', 'b']);
+            }
+        })
+        it('skips and gets', function() {
+            var bytes = encode({ rows: rows, n: 7 }, { tables: true });
+            assert.equal(bjson.skip(bytes, 6), bytes.length - 3);
+            assert.equal(bjson.get(bytes, 'rows.1.name'), 'beta');
+            assert.deepEqual(bjson.get(bytes, ['rows', 2, 'tags', 1]), 'z');
+            assert.deepEqual(bjson.get(bytes, 'rows.0'), rows[0]);
+            assert.strictEqual(bjson.get(bytes, 'rows.3.name'), undefined);
+            assert.strictEqual(bjson.get(bytes, 'rows.0.constructor'), undefined);
+            assert.strictEqual(bjson.get(bytes, 'n'), 7);
+        })
+        it('lists the keys and the values by column in inspect', function() {
+            var tokens = bjson.inspect(encode([{ a: 1, b: 'x' }, { a: 2, b: 'y' }], { tables: true }));
+            assert.deepEqual(tokens.map(function(t) { return [t.type, t.path.join('.'), t.key, t.value] }), [
+                ['T_TABLEB', '', undefined, undefined],
+                ['T_ARRAYI+2', '', undefined, undefined],
+                ['T_STRINGI+1', '', true, 'a'],
+                ['T_STRINGI+1', '', true, 'b'],
+                ['T_INTI+1', '0.a', undefined, 1],
+                ['T_INTI+2', '1.a', undefined, 2],
+                ['T_STRINGI+1', '0.b', undefined, 'x'],
+                ['T_STRINGI+1', '1.b', undefined, 'y'],
+            ]);
+        })
+        it('rejects malformed tables', function() {
+            var bytes = encode({ rows: rows }, { tables: true });
+            for (var i = 0; i < bytes.length; i++) {
+                assert.throws(function() { decode(bytes.slice(0, i)) }, bjson.DecodeError);
+                assert.throws(function() { bjson.skip(bytes.slice(0, i)) }, bjson.DecodeError);
+            }
+            assert.throws(function() { decode([0xA6, 0x00, 0x0F, 0x42, 0x40, 0xE0], { maxTotalItems: 100 }) }, /table has no keys/);
+            assert.throws(function() { bjson.skip([0xA4, 2, 0xE0]) }, /table has no keys/);
+            assert.equal(bjson.inspect([0xA4, 2, 0xE0])[0].error, 'table has no keys');
+            assert.throws(function() { decode([0xA4, 1, 0x01, 0x01]) }, /table keys must be an array/);
+            assert.throws(function() { decode([0xA4, 1, 0xE1, 0x01, 0x01]) }, /table key must be a string/);
+            try { decode([0xA4, 2, 0xE1, 0xC1, 0x61, 0x01, T_NONESUCH]); assert.fail() }
+            catch (err) { assert.deepEqual(err.path, [1, 'a']) }
+        })
+        it('checks the decode limits', function() {
+            var bytes = encode([rows, rows], { tables: true });
+            assert.throws(function() { decode(bytes, { maxArrayLength: 2 }) }, /maxArrayLength/);
+            assert.throws(function() { decode(bytes, { maxObjectKeys: 3 }) }, /maxObjectKeys/);
+            assert.throws(function() { decode(bytes, { maxDepth: 2 }) }, /maxDepth/);
+            assert.throws(function() { decode(bytes, { maxTotalItems: 20 }) }, /maxTotalItems/);
+            assert.throws(function() { decode([0xA4, 3, 0xE1, 0xC1, 0x61, 1, 2, 3], { maxTotalItems: 6 }) }, /maxTotalItems/);
+            assert.deepEqual(decode([0xA4, 3, 0xE1, 0xC1, 0x61, 1, 2, 3], { maxTotalItems: 9 }), [{ a: 1 }, { a: 2 }, { a: 3 }]);
+            assert.deepStrictEqual(decode(bytes, { maxDepth: 4, maxArrayLength: 3, maxObjectKeys: 4 }), [rows, rows]);
+        })
+    })
+
+    describe('compile', function() {
+        var logline = require('./logline.json');
+        var loglineSchema = { type: 'object', required: ['name', 'pid', 'req'], properties: {
+            name: { type: 'string' }, hostname: { type: 'string' }, pid: { type: 'integer' }, audit: { type: 'boolean' },
+            level: { type: 'string' }, remoteAddress: { type: 'string' }, remotePort: { type: 'integer' }, req_id: { type: 'string' },
+            req: { type: 'object', properties: {
+                method: { type: 'string' }, url: { type: 'string' }, headers: { type: 'object', properties: { host: { type: 'string' } } },
+                httpVersion: { type: 'string' }, trailers: { type: 'object' }, version: { type: 'string' }, timers: { type: 'object' } } },
+            res: { type: 'object', properties: { statusCode: { type: 'integer' }, trailer: { type: 'boolean' } } },
+            rusage: { type: 'object', properties: {
+                utime: { type: 'number' }, stime: { type: 'number' }, wtime: { type: 'number' },
+                maxrss: { type: 'integer' }, inblock: { type: 'integer' }, oublock: { type: 'integer' } } },
+            query: {}, latency: { type: ['number', 'null'] }, _audit: { type: 'boolean' }, msg: { type: 'string' },
+            time: { type: 'string' }, v: { type: 'integer' }, requestId: { type: 'string' },
+        } };
+        var schema = { type: 'object', required: ['id'], properties: {
+            id: { type: 'integer' },
+            tags: { type: 'array', items: { type: 'string' } },
+            owner: { type: ['object', 'null'], properties: { name: { type: 'string' } }, additionalProperties: false },
+        } };
+
+        it('writes and reads the same bytes as encode and decode', function() {
+            var compiled = bjson.compile(loglineSchema);
+            assert.deepEqual(compiled.encode(logline), encode(logline));
+            assert.deepEqual(compiled.decode(encode(logline)), logline);
+            assert.deepEqual(compiled.decode(encode(logline, { stringRefs: true })), logline);
+            var item = { id: 1, tags: ['a', 'b'], owner: { name: 'x' } };
+            assert.deepEqual(bjson.compile(schema).encode(item), encode(item));
+        })
+        it('converts values with toJSON like encode', function() {
+            var compiled = bjson.compile({ type: 'object', properties: {
+                when: { type: 'string' }, any: {}, pos: { type: 'object', properties: { x: { type: 'number' } } },
+                list: { type: 'array', items: { type: ['string', 'number'] } },
+            } });
+            function Point( x ) { this.x = x }
+            Point.prototype.toJSON = function() { return { x: this.x } };
+            var item = { when: new Date(0), any: new Date(1), pos: new Point(2), list: [new Date(3), 4] };
+            assert.deepEqual(compiled.encode(item), encode(item));
+            assert.deepEqual(compiled.decode(compiled.encode(item)), JSON.parse(JSON.stringify(item)));
+            assert.throws(function() { compiled.encode({ when: { toJSON: function() { return 1 } } }) }, /expected string, not number at path when/);
+        })
+        it('reads properties in any order', function() {
+            var item = { owner: null, tags: [], id: 3 };
+            assert.deepEqual(bjson.compile(schema).decode(encode(item)), item);
+        })
+        it('encodes the properties not in the schema after the others', function() {
+            var compiled = bjson.compile(schema);
+            assert.deepEqual(compiled.encode({ x: [1], id: 1, tags: undefined, y: undefined }), encode({ id: 1, x: [1] }));
+            assert.deepEqual(compiled.decode(encode({ x: 1, id: 1 })), { x: 1, id: 1 });
+            var item = { meta: { a: 1, b: [2] } };
+            assert.deepEqual(decode(bjson.compile({ type: 'object', properties: { meta: { type: 'object' } } }).encode(item)), item);
+            var cyclic = { id: 1 };
+            cyclic.self = cyclic;
+            assert.throws(function() { compiled.encode(cyclic) }, /cyclic structure at path self.self/);
+        })
+        it('matches any value to a schema without a type', function() {
+            var compiled = bjson.compile({ type: 'array', items: {} });
+            var item = [1, 'a', null, [{}], { b: 2.5 }];
+            assert.deepEqual(compiled.encode(item), encode(item));
+            assert.deepEqual(compiled.decode(encode(item)), item);
+        })
+        it('rejects values that do not match the schema', function() {
+            var compiled = bjson.compile(schema);
+            var tests = [
+                [{ id: 1.5 }, 'expected integer, not number at path id'],
+                [{ id: 1, tags: ['a', 2] }, 'expected string, not number at path tags[1]'],
+                [{ id: 1, owner: 'x' }, 'expected object or null, not string at path owner'],
+                [{ id: 1, owner: { name: 'x', age: 3 } }, 'property not in schema at path owner.age'],
+                [{ tags: [] }, 'missing required property at path id'],
+                [[1], 'expected object, not array'],
+            ];
+            for (var i = 0; i < tests.length; i++) {
+                try { compiled.encode(tests[i][0]); assert.fail() }
+                catch (err) { assert.ok(err instanceof bjson.EncodeError); assert.equal(err.message, tests[i][1]) }
+            }
+        })
+        it('rejects bytes that do not match the schema', function() {
+            var compiled = bjson.compile(schema);
+            var tests = [
+                [{ id: 'one' }, /^expected integer at offset 4, typecode 0xc3, path id$/],
+                [{ id: 1, tags: ['a', null] }, /^expected string .* path tags\[1\]$/],
+                [{ id: 1, owner: [] }, /^expected object or null .* path owner$/],
+                [{ id: 1, owner: { name: 'x', age: 3 } }, /^property not in schema .* path owner.age$/],
+                [{ tags: [] }, /^missing required property .* path id$/],
+                [{ id: undefined }, /^missing required property .* path id$/],
+                [new Map(), /^expected object at offset 0/],
+            ];
+            tests.push([[{ id: 1 }, { id: 2 }], /^object references not supported by compiled decoders/, { refs: true }]);
+            tests.push([{ id: 1, tags: [{ a: 1 }, { a: 2 }] }, /^tables not supported by compiled decoders .* path tags$/, { tables: true }]);
+            for (var i = 0; i < tests.length; i++) {
+                try { compiled.decode(encode(tests[i][0], tests[i][2])); assert.fail() }
+                catch (err) { assert.ok(err instanceof bjson.DecodeError); assert.ok(tests[i][1].test(err.message), err.message) }
+            }
+        })
+        it('rejects truncated bytes', function() {
+            var compiled = bjson.compile(loglineSchema), bytes = encode(logline);
+            for (var i = 0; i < bytes.length; i += 7) {
+                assert.throws(function() { compiled.decode(bytes.slice(0, i)) }, bjson.DecodeError);
+            }
+        })
+        it('applies the decode options', function() {
+            var compiled = bjson.compile(loglineSchema);
+            assert.throws(function() { compiled.decode(encode(logline), { maxDepth: 2 }) }, /maxDepth/);
+            assert.throws(function() { compiled.decode(encode(logline), { maxStringLength: 3 }) }, /maxStringLength/);
+        })
+        it('rejects malformed schemas', function() {
+            assert.throws(function() { bjson.compile(null) }, /schema must be an object/);
+            assert.throws(function() { bjson.compile({ type: 'date' }) }, /"date": schema type not supported/);
+            assert.throws(function() { bjson.compile({ type: 'object', properties: { a: { type: 'array', items: { type: 'x' } } } }) },
+                /not supported at a\[\]/);
         })
     })
 
@@ -95,6 +866,147 @@ describe('bjson', function() {
             }
             assert.ok(isNaN(decode(encode(NaN))));
         })
+        it('integers beyond 32 bits', function() {
+            var tests = [
+                [0x7fffffff, 5], [0x80000000, 5], [0xffffffff, 5], [-0x80000000, 5], [-0xffffffff, 5],
+                [0x100000000, 7], [1e12, 7], [1674000000000, 7], [0xffffffffffff, 7], [-0x100000000, 7], [-1e12, 7],
+                [0x1000000000000, 8], [9007199254740991, 8], [-9007199254740991, 8], [1e15, 8],
+            ];
+            for (var i=0; i<tests.length; i++) {
+                var bytes = encode(tests[i][0]);
+                assert.equal(bytes.length, tests[i][1], 'test ' + i + ': ' + tests[i][0]);
+                assert.notEqual(bytes[0], 0x4F);
+                assert.strictEqual(decode(bytes), tests[i][0], 'test ' + i + ': ' + tests[i][0]);
+            }
+            var now = Date.now();
+            assert.strictEqual(decode(encode(now)), now);
+            assert.equal(encode(now).length, 7);
+        })
+        it('integers beyond 2^53 as floats', function() {
+            var tests = [9007199254740992, -9007199254740992, 1e16, 1.5e100, -0];
+            for (var i=0; i<tests.length; i++) {
+                var bytes = encode(tests[i]);
+                assert.ok(bytes[0] === T_FLOAT32 || bytes[0] === 0x4F, 'test ' + i);
+                assert.strictEqual(decode(bytes), tests[i]);
+            }
+        })
+        it('floats exactly representable in 32 bits', function() {
+            var tests = [1.5, 0.25, -0.125, Math.pow(2, -20), 3.4028234663852886e38, Infinity, -Infinity, -0, NaN];
+            for (var i=0; i<tests.length; i++) {
+                var bytes = encode(tests[i]);
+                assert.equal(bytes.length, 5, 'test ' + i);
+                assert.equal(bytes[0], T_FLOAT32);
+                assert.ok(Object.is ? Object.is(decode(bytes), tests[i]) : decode(bytes) === tests[i] || tests[i] !== tests[i]);
+            }
+        })
+        it('floats not representable in 32 bits', function() {
+            var tests = [0.1, 1.1, -2.2, 1e-50, 1.5e100, Math.PI, 1.0000001];
+            for (var i=0; i<tests.length; i++) {
+                var bytes = encode(tests[i]);
+                assert.equal(bytes.length, 9, 'test ' + i);
+                assert.strictEqual(decode(bytes), tests[i]);
+            }
+        })
+        it('float32 option', function() {
+            var bytes = encode([0.1, Math.PI, 1.5, 3, 1e12], { float32: true });
+            var values = decode(bytes);
+            assert.equal(bytes.length, 1 + 5 + 5 + 5 + 1 + 7);
+            assert.equal(values[0], new Float32Array([0.1])[0]);
+            assert.notEqual(values[0], 0.1);
+            assert.ok(Math.abs(values[1] - Math.PI) < 1e-6);
+            assert.deepEqual(values.slice(2), [1.5, 3, 1e12]);
+            assert.strictEqual(decode(encode(1e300, { float32: true })), 1e300);
+            assert.strictEqual(decode(encode(-Math.pow(2, 60) - 4096, { float32: true })), -Math.pow(2, 60) - 4096);
+        })
+        it('BigInt', function() {
+            if (typeof BigInt !== 'function') return;
+            var tests = [
+                ['0', 9], ['5', 9], ['-1', 9], ['9223372036854775807', 9], ['-9223372036854775808', 9],
+                ['9223372036854775808', 11], ['-9223372036854775809', 11], ['18446744073709551616', 11],
+                ['123456789012345678901234567890123456789012345678901234567890', 28],
+                ['-123456789012345678901234567890123456789012345678901234567890', 28],
+            ];
+            for (var i=0; i<tests.length; i++) {
+                var big = BigInt(tests[i][0]);
+                var bytes = encode(big);
+                assert.equal(bytes.length, tests[i][1], 'test ' + i + ': ' + tests[i][0]);
+                assert.strictEqual(decode(bytes), big, 'test ' + i + ': ' + tests[i][0]);
+            }
+            assert.deepEqual(decode(encode({ amount: BigInt(-12345) })), { amount: BigInt(-12345) });
+            assert.deepEqual(toArray(encode(BigInt(-2))), [0x52, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xfe]);
+            assert.deepEqual(toArray(encode(BigInt('0x8000000000000000'))), [0x53, 0xd9, 0, 0x80, 0, 0, 0, 0, 0, 0, 0]);
+        })
+        it('int64AsBigInt', function() {
+            if (typeof BigInt !== 'function') return;
+            var bytes = [T_UINT64, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08];
+            assert.throws(function() { decode(bytes) }, /too large/);
+            assert.strictEqual(decode(bytes, { int64AsBigInt: true }), BigInt('0x0102030405060708'));
+            bytes[0] = T_NEGINT64;
+            assert.strictEqual(decode(bytes, { int64AsBigInt: true }), -BigInt('0x0102030405060708'));
+            assert.strictEqual(decode([T_UINT64, 0, 0, 0, 0, 0, 0, 2, 1], { int64AsBigInt: true }), 513);
+        })
+        it('BigInt errors', function() {
+            assert.throws(function() { decode([0x53, 0xC1, 1]) }, /must be bytes/);
+            assert.throws(function() { decode([0x53, 0xD2, 1]) }, /past end/);
+            assert.throws(function() { decode([0x53]) }, /truncated input, need 1 bytes but have 0/);
+            assert.throws(function() { bjson.skip([0x53]) }, /truncated/);
+            assert.throws(function() { decode([0x52, 1, 2, 3]) }, /truncated/);
+        })
+        describe('varints', function() {
+            it('encodes the LEB128 byte layout', function() {
+                var tests = [
+                    [32, [0x4C, 0x20]], [127, [0x4C, 0x7F]], [128, [0x4C, 0x80, 0x01]], [300, [0x4C, 0xAC, 0x02]],
+                    [-33, [0x4D, 0x21]], [-300, [0x4D, 0xAC, 0x02]], [16384, [0x4C, 0x80, 0x80, 0x01]],
+                    [0x7fffffff, [0x4C, 0xFF, 0xFF, 0xFF, 0xFF, 0x07]], [-0x80000000, [0x4D, 0x80, 0x80, 0x80, 0x80, 0x08]],
+                    [1e12, [0x4C, 0x80, 0xA0, 0x94, 0xA5, 0x8D, 0x1D]],
+                    [9007199254740991, [0x4C, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x0F]],
+                    [-9007199254740991, [0x4D, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x0F]],
+                    // immediate ints and floats are not affected
+                    [5, [0x05]], [-1, [0x3F]], [1.5, [0x4E, 0x3F, 0xC0, 0, 0]],
+                ];
+                for (var i = 0; i < tests.length; i++) {
+                    var bytes = encode(tests[i][0], { varints: true });
+                    assert.deepEqual(toArray(bytes), tests[i][1], 'test ' + i + ': ' + tests[i][0]);
+                    assert.strictEqual(decode(bytes), tests[i][0], 'test ' + i + ': ' + tests[i][0]);
+                }
+            })
+            it('encodes BigInt varints', function() {
+                if (typeof BigInt !== 'function') return;
+                var tests = [
+                    ['0', [0x56, 0x00]], ['300', [0x56, 0xAC, 0x02]], ['-300', [0x57, 0xAC, 0x02]],
+                    ['18446744073709551616', [0x56, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x02]],
+                ];
+                for (var i = 0; i < tests.length; i++) {
+                    var bytes = encode(BigInt(tests[i][0]), { varints: true });
+                    assert.deepEqual(toArray(bytes), tests[i][1], 'test ' + i + ': ' + tests[i][0]);
+                    assert.strictEqual(decode(bytes), BigInt(tests[i][0]));
+                }
+                var big = BigInt('-123456789012345678901234567890123456789012345678901234567890');
+                assert.strictEqual(decode(encode(big, { varints: true })), big);
+            })
+            it('decodes long BigInt varints within maxStringLength', function() {
+                if (typeof BigInt !== 'function') return;
+                var bytes = [0x56];
+                for (var i = 0; i < 100000; i++) bytes.push(0xFF);
+                bytes.push(0x01);
+                assert.strictEqual(decode(bytes), (BigInt(1) << BigInt(700001)) - BigInt(1));
+                assert.throws(function() { decode(bytes, { maxStringLength: 1000 }) }, /maxStringLength/);
+                assert.strictEqual(decode([0x57, 0xAC, 0x02], { maxStringLength: 2 }), BigInt(-300));
+            })
+            it('round-trips nested values', function() {
+                var data = { a: [1000, -1000, 1e10, -1e15, 0.5], b: { c: 123456 } };
+                var bytes = encode(data, { varints: true });
+                assert.deepEqual(decode(bytes), data);
+                assert.ok(bytes.length < encode(data).length);
+            })
+            it('rejects bad varints', function() {
+                assert.throws(function() { decode([0x4C, 0x80, 0x80]) }, /unterminated varint/);
+                assert.throws(function() { decode([0x4C]) }, /unterminated varint/);
+                assert.throws(function() { decode([0x56, 0x80]) }, /unterminated varint/);
+                assert.throws(function() { decode([0x4C, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x01]) }, /longer than 8 bytes/);
+                assert.throws(function() { decode([0x4C, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x10]) }, /too large/);
+            })
+        })
         it('strings', function() {
             assert.strictEqual(decode(encode('ABC')), 'ABC');
             assert.strictEqual(decode(encode('ABC\xff')), 'ABC\xff');
@@ -134,6 +1046,461 @@ describe('bjson', function() {
         it('Dates as strings', function() {
             assert.equal(decode(encode(new Date(0))), '1970-01-01T00:00:00.000Z');
         })
+        it('Dates as Dates', function() {
+            var dates = [new Date(0), new Date(), new Date(-1e12), new Date(8.64e15)];
+            for (var i=0; i<dates.length; i++) {
+                var bytes = encode(dates[i], { dates: true });
+                assert.equal(bytes.length, 9);
+                assert.equal(bytes[0], 0x54);
+                var date = decode(bytes);
+                assert.ok(date instanceof Date);
+                assert.equal(date.getTime(), dates[i].getTime());
+            }
+            var obj = decode(encode({ created: new Date(1234567890123), list: [new Date(1)] }, { dates: true }));
+            assert.deepEqual(obj, { created: new Date(1234567890123), list: [new Date(1)] });
+            assert.ok(obj.list[0] instanceof Date);
+        })
+        it('invalid Dates', function() {
+            var date = decode(encode(new Date('not a date'), { dates: true }));
+            assert.ok(date instanceof Date);
+            assert.ok(isNaN(date.getTime()));
+            assert.strictEqual(decode(encode(new Date('not a date'))), null);
+        })
+        describe('stringRefs', function() {
+            it('back-references repeated keys and strings', function() {
+                var bytes = encode([{ ab: 'xyz' }, { ab: 'xyz' }], { stringRefs: true });
+                assert.deepEqual(toArray(bytes), [
+                    0xE2,
+                    0xF1, 0x55, 0xC2, 0x61, 0x62, 0x55, 0xC3, 0x78, 0x79, 0x7A,
+                    0xF1, 0x84, 0, 0x84, 1,
+                ]);
+                assert.deepEqual(decode(bytes), [{ ab: 'xyz' }, { ab: 'xyz' }]);
+            })
+            it('does not reference single-char or long strings', function() {
+                var long = new Array(66).join('x');
+                var data = ['a', 'a', long, long, { b: 1 }, { b: 2 }];
+                var bytes = encode(data, { stringRefs: true });
+                assert.deepEqual(bytes, encode(data));
+                assert.deepEqual(decode(bytes), data);
+            })
+            it('encodes arrays of records more compactly', function() {
+                var rows = [];
+                for (var i = 0; i < 300; i++) rows.push({ name: 'MyTestApp', hostname: 'server', pid: i, level: 'info' });
+                var bytes = encode(rows, { stringRefs: true });
+                assert.ok(bytes.length < encode(rows).length / 2);
+                assert.deepEqual(decode(bytes), rows);
+            })
+            it('round-trips logline', function() {
+                var logline = require('./logline.json');
+                assert.deepEqual(decode(encode(logline, { stringRefs: true })), logline);
+                assert.deepEqual(decode(encode(new Array(10).join('x').split('').map(function() { return logline }), { stringRefs: true }))[8], logline);
+            })
+            it('references keys of non-plain objects', function() {
+                var obj = /foo/; obj.abc = 1;
+                assert.deepEqual(decode(encode([obj, { abc: 2 }], { stringRefs: true })), [{ abc: 1 }, { abc: 2 }]);
+            })
+            it('rejects undefined references', function() {
+                assert.throws(function() { decode([0x84, 0]) }, /string reference 0 not defined/);
+                assert.throws(function() { decode([0xE2, 0x55, 0xC2, 0x61, 0x62, 0x84, 1]) }, /not defined/);
+                assert.throws(function() { decode([0x55, 0x01]) }, /must be a string/);
+                assert.throws(function() { decode([0x55]) }, /truncated input, need 1 bytes but have 0/);
+            })
+        })
+        describe('replacer and reviver', function() {
+            var data = { a: 1, secret: 'x', b: { secret: 2, c: [1, 'two', { d: 3 }], e: new Date(0) }, f: [] };
+            it('replacer is called like JSON.stringify', function() {
+                var calls = [], jsonCalls = [];
+                function replacer( key, value ) {
+                    this.calls.push([key, typeof value === 'object' ? JSON.stringify(value) : value]);
+                    return key === 'secret' ? undefined : value;
+                }
+                var bytes = encode(data, { replacer: function(k, v) { return replacer.call({ calls: calls }, k, v) } });
+                JSON.stringify(data, function(k, v) { return replacer.call({ calls: jsonCalls }, k, v) });
+                assert.deepEqual(calls, jsonCalls);
+                assert.deepEqual(decode(bytes), JSON.parse(JSON.stringify(data, replacer.bind({ calls: [] }))));
+            })
+            it('replacer this is the holder', function() {
+                var holders = [];
+                encode(data, { replacer: function(k, v) { holders.push(this); return v } });
+                assert.deepEqual(holders[0], { '': data });
+                assert.strictEqual(holders[1], data);
+                assert.strictEqual(holders[4], data.b);
+                assert.strictEqual(holders[6], data.b.c);
+            })
+            it('replacer can substitute values', function() {
+                var bytes = encode([1, { a: 2 }], { replacer: function(k, v) { return typeof v === 'number' ? v * 10 : v } });
+                assert.deepEqual(decode(bytes), [10, { a: 20 }]);
+                assert.deepEqual(decode(encode({ a: 1 }, { replacer: function(k, v) { return k === '' ? 'top' : v } })), 'top');
+            })
+            it('replacer array is an allowlist of keys', function() {
+                var keys = ['b', 'a', 1, 'a', 'c', 'nonesuch', {}];
+                var obj = { a: 1, b: { a: 2, z: 3 }, 1: 'one', c: [{ a: 4, y: 5 }], z: 6 };
+                var bytes = encode(obj, { replacer: keys });
+                assert.deepEqual(decode(bytes), JSON.parse(JSON.stringify(obj, keys)));
+                assert.deepEqual(Object.keys(decode(bytes)), Object.keys(JSON.parse(JSON.stringify(obj, keys))));
+            })
+            it('replacer can omit many properties', function() {
+                var obj = {}, big = {};
+                for (var i = 0; i < 300; i++) obj['k' + i] = i;
+                for (var i = 0; i < 20; i++) big['k' + i] = obj;
+                var omit = function(k, v) { return (typeof v === 'number' && v % 3) ? undefined : v };
+                var bytes = encode(big, { replacer: omit, stringRefs: true });
+                assert.deepEqual(decode(bytes), JSON.parse(JSON.stringify(big, omit)));
+                assert.deepEqual(decode(encode({ a: 1, b: [1, 2] }, { replacer: function(k, v) { return k ? undefined : v } })), {});
+            })
+            it('replacer visits Map values', function() {
+                var map = new Map([['secret', 1], ['ok', 2]]);
+                var map2 = decode(encode(map, { replacer: function(k, v) { return k === 'secret' ? 0 : v } }));
+                assert.deepEqual(Array.from(map2.entries()), [['secret', 0], ['ok', 2]]);
+            })
+            it('reviver is called like JSON.parse', function() {
+                var calls = [], jsonCalls = [];
+                function reviver( key, value ) {
+                    this.calls.push([key, typeof value === 'object' ? JSON.stringify(value) : value]);
+                    if (key === 'secret') return undefined;
+                    return typeof value === 'number' ? value + 1 : value;
+                }
+                var item = decode(encode(data), { reviver: function(k, v) { return reviver.call({ calls: calls }, k, v) } });
+                var json = JSON.parse(JSON.stringify(data), function(k, v) { return reviver.call({ calls: jsonCalls }, k, v) });
+                assert.deepEqual(calls, jsonCalls);
+                assert.deepEqual(item, json);
+            })
+            it('reviver this is the holder', function() {
+                var holders = [];
+                var item = decode(encode([{ a: 1 }]), { reviver: function(k, v) { holders.push(this); return v } });
+                assert.strictEqual(holders[0], item[0]);
+                assert.strictEqual(holders[1], item);
+                assert.deepEqual(holders[2], { '': item });
+            })
+            it('reviver can restore class instances', function() {
+                function Money( cents ) { this.cents = cents }
+                Money.prototype.toJSON = function() { return { $money: this.cents } };
+                var bytes = encode({ price: new Money(150), list: [new Money(5)] });
+                var item = decode(bytes, { reviver: function(k, v) { return (v && v.$money !== undefined) ? new Money(v.$money) : v } });
+                assert.ok(item.price instanceof Money && item.list[0] instanceof Money);
+                assert.equal(item.price.cents, 150);
+            })
+            it('reviver keeps __proto__ an own property', function() {
+                var item = decode(encode(JSON.parse('{"__proto__":{"x":1}}')), { reviver: function(k, v) { return v } });
+                assert.strictEqual(item.x, undefined);
+                assert.deepEqual(Object.getOwnPropertyDescriptor(item, '__proto__').value, { x: 1 });
+            })
+        })
+        describe('canonical', function() {
+            it('sorts object keys', function() {
+                var a = encode({ b: 1, a: { d: 2, c: 3 } }, { canonical: true });
+                var b = encode({ a: { c: 3, d: 2 }, b: 1 }, { canonical: true });
+                assert.deepEqual(a, b);
+                assert.deepEqual(toArray(a), [0xF2, 0xC1, 0x61, 0xF2, 0xC1, 0x63, 3, 0xC1, 0x64, 2, 0xC1, 0x62, 1]);
+            })
+            it('sorts keys in utf8 byte order', function() {
+                var obj = { '\uffff': 1, '\ud83d\ude00': 2, 'b': 3, 'ab': 4, 'a': 5, '\u00e9': 6 };
+                var keys = Object.keys(decode(encode(obj, { canonical: true })));
+                assert.deepEqual(keys, ['a', 'ab', 'b', '\u00e9', '\uffff', '\ud83d\ude00']);
+            })
+            it('sorts Map and Set entries', function() {
+                var a = encode(new Map([['b', 1], [2, 'x'], ['a', 3]]), { canonical: true });
+                var b = encode(new Map([['a', 3], ['b', 1], [2, 'x']]), { canonical: true });
+                assert.deepEqual(a, b);
+                assert.deepEqual(encode(new Set([3, 1, 'a']), { canonical: true }), encode(new Set(['a', 1, 3]), { canonical: true }));
+            })
+            it('normalizes numbers', function() {
+                assert.deepEqual(toArray(encode(-0, { canonical: true })), [0]);
+                assert.deepEqual(toArray(encode(-NaN, { canonical: true })), [0x4E, 0x7f, 0xc0, 0, 0]);
+                assert.deepEqual(toArray(encode(1.5, { canonical: true, float32: true, varints: true })), [0x4E, 0x3F, 0xC0, 0, 0]);
+                assert.deepEqual(toArray(encode(300, { canonical: true, varints: true })), [0x45, 1, 0x2C]);
+                assert.deepEqual(encode(['ab', 'ab'], { canonical: true, stringRefs: true }), encode(['ab', 'ab']));
+            })
+            it('rejects undefined', function() {
+                assert.throws(function() { encode(undefined, { canonical: true }) }, /undefined: not allowed/);
+                assert.throws(function() { encode({ a: undefined }, { canonical: true }) }, /not allowed/);
+                assert.throws(function() { encode([1, , 3], { canonical: true }) }, /not allowed/);
+                assert.throws(function() { encode({ f: function() {} }, { canonical: true }) }, /function: not allowed/);
+                try { encode({ a: [1, { b: undefined }] }, { canonical: true }); assert.fail() }
+                catch (err) {
+                    assert.ok(err instanceof bjson.EncodeError);
+                    assert.deepEqual(err.path, ['a', 1, 'b']);
+                    assert.equal(err.message, 'undefined: not allowed in canonical encoding at path a[1].b');
+                }
+                if (typeof Symbol === 'function') {
+                    assert.throws(function() { encode([Symbol('s')], { canonical: true }) }, bjson.EncodeError);
+                }
+                assert.deepEqual(decode(encode({ a: undefined, b: 1 }, { canonical: true, replacer: function(k, v) { return v } })), { b: 1 });
+            })
+            it('isCanonical', function() {
+                assert.strictEqual(bjson.isCanonical(encode({ a: 1, b: [1.5, 'x', 1e10] })), true);
+                assert.strictEqual(bjson.isCanonical(encode({ b: 1, a: 2 })), false);
+                assert.strictEqual(bjson.isCanonical(encode({ b: 1, a: 2 }, { canonical: true })), true);
+                assert.strictEqual(bjson.isCanonical(encode(new Date(1), { dates: true })), true);
+                assert.strictEqual(bjson.isCanonical(encode(-0)), false);
+                assert.strictEqual(bjson.isCanonical(encode(undefined)), false);
+                assert.strictEqual(bjson.isCanonical(encode(['ab', 'ab'], { stringRefs: true })), false);
+                assert.strictEqual(bjson.isCanonical(encode(1000, { varints: true })), false);
+                // non-minimal lengths, trailing bytes, corrupt input
+                assert.strictEqual(bjson.isCanonical([0x80, 1, 0x61]), false);
+                assert.strictEqual(bjson.isCanonical([0x44, 5]), false);
+                assert.strictEqual(bjson.isCanonical([0x05, 0x05]), false);
+                assert.strictEqual(bjson.isCanonical([0xC3, 0x61]), false);
+                assert.strictEqual(bjson.isCanonical([0xC1, 0x61]), true);
+            })
+        })
+        describe('cycles and refs', function() {
+            it('throws EncodeError on cycles with the path', function() {
+                var a = { x: 1, b: { c: [1, 2] } };
+                a.b.c.push(a);
+                try { encode(a); assert.fail() }
+                catch (err) {
+                    assert.ok(err instanceof bjson.EncodeError);
+                    assert.deepEqual(err.path, ['b', 'c', 2]);
+                    assert.ok(/cyclic structure/.test(err.message));
+                    assert.ok(/path b.c\[2\]/.test(err.message));
+                }
+                var arr = [1, 2];
+                arr.push(arr);
+                assert.throws(function() { encode(arr) }, /cyclic structure at path \[2\]/);
+            })
+            it('throws on cycles through Map, Set and replaced objects', function() {
+                var m = new Map(), s = new Set(), o = {};
+                m.set('self', m);
+                s.add(1); s.add([s]);
+                o.o = o;
+                assert.throws(function() { encode(m) }, /path self/);
+                assert.throws(function() { encode(s) }, /path \[1\]\[0\]/);
+                assert.throws(function() { encode(o, { replacer: function(k, v) { return v } }) }, /path o/);
+                assert.throws(function() { encode(o, { canonical: true }) }, bjson.EncodeError);
+                assert.throws(function() { encode(o, { stringRefs: true }) }, bjson.EncodeError);
+            })
+            it('encodes shared objects as copies', function() {
+                var shared = { a: 1 };
+                var item = decode(encode([shared, shared, { s: shared }]));
+                assert.deepEqual(item, [shared, shared, { s: shared }]);
+                assert.notStrictEqual(item[0], item[1]);
+            })
+            it('refs preserves shared objects', function() {
+                var shared = { a: [1, 2] }, arr = [3];
+                var item = decode(encode({ x: shared, y: [shared, arr, arr], z: shared.a }, { refs: true }));
+                assert.deepEqual(item.x, shared);
+                assert.strictEqual(item.y[0], item.x);
+                assert.strictEqual(item.y[1], item.y[2]);
+                assert.strictEqual(item.z, item.x.a);
+            })
+            it('refs rebuilds cycles', function() {
+                var a = { name: 'a', list: [] };
+                a.list.push(a, { parent: a });
+                a.self = a;
+                var item = decode(encode(a, { refs: true }));
+                assert.strictEqual(item.self, item);
+                assert.strictEqual(item.list[0], item);
+                assert.strictEqual(item.list[1].parent, item);
+                assert.equal(item.name, 'a');
+            })
+            it('refs preserves shared Maps and Sets', function() {
+                var m = new Map(), s = new Set([1]);
+                m.set('m', m); m.set('s', s);
+                var item = decode(encode([m, s, s], { refs: true }));
+                assert.strictEqual(item[0].get('m'), item[0]);
+                assert.strictEqual(item[0].get('s'), item[1]);
+                assert.strictEqual(item[1], item[2]);
+                assert.ok(item[1].has(1));
+            })
+            it('refs encodes the reference typecodes', function() {
+                var a = [];
+                a.push(a);
+                assert.deepEqual(toArray(encode(a, { refs: true })), [0x58, 0xE1, 0x9C, 0]);
+                assert.deepEqual(toArray(encode(1, { refs: true })), [0x58, 1]);
+            })
+            it('refs is ignored by canonical encoding', function() {
+                var shared = { a: 1 };
+                assert.deepEqual(encode([shared, shared], { refs: true, canonical: true }), encode([shared, shared], { canonical: true }));
+            })
+            it('refs revives cyclic objects once', function() {
+                var a = { v: 1 };
+                a.self = a;
+                var keys = [];
+                var item = decode(encode(a, { refs: true }), { reviver: function(k, v) { keys.push(k); return v } });
+                assert.strictEqual(item.self, item);
+                assert.deepEqual(keys, ['v', 'self', '']);
+            })
+            it('rejects undefined object references', function() {
+                assert.throws(function() { decode([0x9C, 0]) }, /object reference 0 not defined/);
+                assert.throws(function() { decode([0x58, 0xE1, 0x9C, 1]) }, /object reference 1 not defined/);
+                assert.throws(function() { decode([0x58, 0x58, 1]) }, /already enabled/);
+            })
+            it('skips items with refs', function() {
+                var a = [1];
+                a.push(a);
+                var bytes = encode(a, { refs: true });
+                assert.equal(bjson.skip(bytes, 0), bytes.length);
+                assert.throws(function() { bjson.get(bytes, '0') }, /not supported/);
+                assert.throws(function() { decode(bytes, { fields: ['a'] }) }, /not supported/);
+            })
+            it('skip rejects nested refs', function() {
+                assert.throws(function() { bjson.skip([0x58, 0x58, 1]) }, /already enabled/);
+                var run = fromBuf(new Array(100001).join('\x58'), 'latin1');
+                assert.throws(function() { bjson.skip(run, 0, { maxDepth: 10 }) }, bjson.DecodeError);
+            })
+        })
+
+        describe('Map and Set', function() {
+            it('round-trips Map', function() {
+                var map = new Map();
+                map.set('a', 1);
+                map.set(2, 'two');
+                map.set(null, [3]);
+                map.set({ k: 1 }, { v: 2 });
+                map.set(true, new Map([['x', new Set([1])]]));
+                var map2 = decode(encode(map));
+                assert.ok(map2 instanceof Map);
+                assert.deepEqual(Array.from(map2.keys()), ['a', 2, null, { k: 1 }, true]);
+                assert.deepEqual(Array.from(map2.values()).slice(0, 4), [1, 'two', [3], { v: 2 }]);
+                assert.ok(map2.get(true).get('x') instanceof Set);
+                assert.strictEqual(map2.get(2), 'two');
+                assert.deepEqual(toArray(encode(new Map([[1, 2]]))), [0x94, 1, 1, 2]);
+            })
+            it('round-trips Set', function() {
+                var set = new Set([3, 'b', null, [1, 2], { a: 1 }]);
+                var set2 = decode(encode({ s: set })).s;
+                assert.ok(set2 instanceof Set);
+                assert.deepEqual(Array.from(set2), [3, 'b', null, [1, 2], { a: 1 }]);
+                assert.deepEqual(toArray(encode(new Set(['a']))), [0x98, 1, 0xC1, 0x61]);
+                assert.equal(decode(encode(new Set())).size, 0);
+            })
+            it('round-trips large Maps', function() {
+                var map = new Map();
+                for (var i = 0; i < 1000; i++) map.set(i, 'v' + i);
+                var map2 = decode(encode(map, { stringRefs: true }));
+                assert.equal(map2.size, 1000);
+                assert.equal(map2.get(999), 'v999');
+            })
+            it('enforces limits', function() {
+                var bytes = encode(new Map([['a', 1], ['b', 2]]));
+                assert.throws(function() { decode(bytes, { maxObjectKeys: 1 }) }, /maxObjectKeys/);
+                assert.throws(function() { decode(encode(new Set([1, 2])), { maxArrayLength: 1 }) }, /maxArrayLength/);
+                assert.throws(function() { decode(encode([new Set([1])]), { maxDepth: 1 }) }, /maxDepth/);
+                assert.throws(function() { decode([0x94, 2, 1, 2, 3]) }, /past end/);
+            })
+            it('reports error paths', function() {
+                var bytes = encode(new Map([['a', [1, 2, 'xyz']]]));
+                try { decode(bytes.slice(0, -1)); assert.fail() }
+                catch (err) { assert.deepEqual(err.path, ['a', 2]) }
+            })
+        })
+        describe('typed arrays', function() {
+            it('round-trips typed arrays', function() {
+                var types = [Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+                    Int32Array, Uint32Array, Float32Array, Float64Array];
+                for (var i = 0; i < types.length; i++) {
+                    var arr = new types[i]([0, 1, -2, 300, 1.5, 70000, -1e9]);
+                    var arr2 = decode(encode(arr));
+                    assert.equal(arr2.constructor, types[i]);
+                    assert.deepEqual(arr2, arr);
+                }
+                if (typeof BigInt === 'function') {
+                    var big = new BigInt64Array([BigInt(1), BigInt(-2), BigInt('-9223372036854775808')]);
+                    assert.deepEqual(decode(encode(big)), big);
+                    var ubig = new BigUint64Array([BigInt(1), BigInt('18446744073709551615')]);
+                    assert.deepEqual(decode(encode(ubig)), ubig);
+                }
+            })
+            it('encodes as a single block', function() {
+                var bytes = encode(new Int16Array([1, -2]));
+                assert.deepEqual(toArray(bytes), [0x8C, 4, 4, 1, 0, 0xfe, 0xff]);
+                var arr = new Float64Array(1000);
+                for (var i = 0; i < arr.length; i++) arr[i] = i / 3;
+                bytes = encode(arr);
+                assert.equal(bytes.length, 8000 + 4);
+                assert.deepEqual(decode(bytes), arr);
+            })
+            it('encodes views into a larger buffer', function() {
+                var arr = new Int32Array([1, 2, 3, 4, 5]).subarray(1, 3);
+                var arr2 = decode(encode({ a: arr }));
+                assert.ok(arr2.a instanceof Int32Array);
+                assert.deepEqual(toArray(arr2.a), [2, 3]);
+            })
+            it('decodes unaligned data', function() {
+                var bytes = encode([1, new Float64Array([1.5, 2.5])]);
+                assert.deepEqual(toArray(decode(bytes)[1]), [1.5, 2.5]);
+            })
+            it('round-trips DataView', function() {
+                var view = new DataView(new Uint8Array([1, 2, 3, 4]).buffer, 1, 2);
+                var view2 = decode(encode(view));
+                assert.ok(view2 instanceof DataView);
+                assert.equal(view2.byteLength, 2);
+                assert.equal(view2.getUint16(0), 0x0203);
+            })
+            it('rejects bad typed arrays', function() {
+                assert.throws(function() { decode([0x8C, 3, 4, 1, 2, 3]) }, /not a multiple of 2/);
+                assert.throws(function() { decode([0x8C, 1, 99, 1]) }, /type 99 not supported/);
+                assert.throws(function() { decode([0x8C, 4, 9, 1, 2]) }, /past end/);
+                assert.throws(function() { decode([0x8C, 4, 9, 1, 2, 3, 4], { maxStringLength: 3 }) }, /maxStringLength/);
+            })
+        })
+        describe('extensions', function() {
+            function Point( x, y ) { this.x = x; this.y = y }
+            function ObjectId( hex ) { this.hex = hex }
+            afterEach(function() {
+                bjson.removeExtension(1);
+                bjson.removeExtension(2);
+            })
+            it('encodes and decodes by type', function() {
+                bjson.addExtension({ type: ObjectId, tag: 1,
+                    encode: function(id) { return fromBuf(id.hex, 'hex') },
+                    decode: function(bytes) { return new ObjectId(bytes.toString('hex')) } });
+                var id = new ObjectId('5f1d7a3b9c8e4a2b1c0d9e8f');
+                var bytes = encode(id);
+                assert.deepEqual(toArray(bytes.slice(0, 3)), [0x88, 12, 1]);
+                assert.equal(bytes.length, 15);
+                var id2 = decode(bytes);
+                assert.ok(id2 instanceof ObjectId);
+                assert.equal(id2.hex, id.hex);
+                var obj = decode(encode({ _id: id, list: [id] }));
+                assert.ok(obj._id instanceof ObjectId && obj.list[0] instanceof ObjectId);
+            })
+            it('encodes and decodes by test', function() {
+                bjson.addExtension({ tag: 2,
+                    test: function(item) { return item instanceof Point },
+                    encode: function(p) { var b = fromBuf([0, 0]); b[0] = p.x; b[1] = p.y; return b },
+                    decode: function(bytes) { return new Point(bytes[0], bytes[1]) } });
+                var pt = decode(encode(new Point(3, 4)));
+                assert.ok(pt instanceof Point);
+                assert.deepEqual(pt, new Point(3, 4));
+            })
+            it('long extension data', function() {
+                var data = fromBuf(new Array(1001).join('x'));
+                bjson.addExtension({ tag: 1, type: ObjectId,
+                    encode: function(id) { return data }, decode: function(bytes) { return bytes.toString() } });
+                var bytes = encode(new ObjectId('x'));
+                assert.deepEqual(toArray(bytes.slice(0, 4)), [0x89, 0x03, 0xE8, 1]);
+                assert.equal(decode(bytes), data.toString());
+            })
+            it('passes through unknown tags', function() {
+                var bytes = fromBuf([0xE2, 0x88, 3, 77, 1, 2, 3, 0x05]);
+                var item = decode(bytes);
+                assert.ok(item[0] instanceof bjson.Extension);
+                assert.equal(item[0].tag, 77);
+                assert.deepEqual(toArray(item[0].bytes), [1, 2, 3]);
+                assert.deepEqual(encode(item), bytes);
+            })
+            it('removeExtension', function() {
+                bjson.addExtension({ type: Point, tag: 2,
+                    encode: function(p) { return [p.x] }, decode: function(bytes) { return new Point(bytes[0], 0) } });
+                var bytes = encode(new Point(1, 2));
+                bjson.removeExtension(2);
+                assert.ok(decode(bytes) instanceof bjson.Extension);
+                assert.deepEqual(decode(encode(new Point(1, 2))), { x: 1, y: 2 });
+            })
+            it('validates the extension', function() {
+                var encoder = function() {}, decoder = function() {};
+                assert.throws(function() { bjson.addExtension() }, /tag/);
+                assert.throws(function() { bjson.addExtension({ tag: 256, type: Point, encode: encoder, decode: decoder }) }, /tag/);
+                assert.throws(function() { bjson.addExtension({ tag: 1.5, type: Point, encode: encoder, decode: decoder }) }, /tag/);
+                assert.throws(function() { bjson.addExtension({ tag: 1, encode: encoder, decode: decoder }) }, /type or test/);
+                assert.throws(function() { bjson.addExtension({ tag: 1, type: Point, decode: decoder }) }, /encode and decode/);
+            })
+            it('truncated extension', function() {
+                assert.throws(function() { decode([0x88, 3, 77, 1, 2]) }, /past end/);
+            })
+        })
         it('oddball types', function() {
             assert.strictEqual(decode(encode(function(){})), undefined);
             assert.strictEqual(decode(encode(global.Symbol && global.Symbol('x'))), undefined);
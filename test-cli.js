@@ -0,0 +1,183 @@
+'use strict';
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var bjson = require('./bjson');
+var cli = require('./bin/bxson');
+
+var fromBuf = parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer;
+
+function runCli( args, input ) {
+    return childProcess.spawnSync(process.execPath, [__dirname + '/bin/bxson.js'].concat(args), { input: input });
+}
+
+function frame( bytes ) {
+    var header = fromBuf([0, 0, 0, 0]);
+    header.writeUInt32BE(bytes.length, 0);
+    return Buffer.concat([header, bytes]);
+}
+
+describe('bxson cli', function() {
+    var items = [{ a: 1, b: [1, 2.5, 'x'] }, { c: { d: null } }, 7, 'str', [true, false]];
+    var encoded = Buffer.concat(items.map(function(item) { return bjson.encode(item) }));
+
+    describe('JsonSplitter', function() {
+        function split( chunks ) {
+            var splitter = new cli.JsonSplitter(), values = [];
+            function onValue( text ) { values.push(JSON.parse(text)) }
+            for (var i = 0; i < chunks.length; i++) splitter.write(fromBuf(chunks[i]), onValue);
+            splitter.end(onValue);
+            return values;
+        }
+        it('splits NDJSON', function() {
+            assert.deepEqual(split(['{"a":1}\n[1,2]\n3\n"x"\nnull\n']), [{ a: 1 }, [1, 2], 3, 'x', null]);
+        })
+        it('splits concatenated and pretty-printed JSON', function() {
+            assert.deepEqual(split(['{"a":\n  [1,\n 2]\n}{"b":"}{"}[3] 4 true']), [{ a: [1, 2] }, { b: '}{' }, [3], 4, true]);
+            assert.deepEqual(split(['1[2]1"a"true{}null']), [1, [2], 1, 'a', true, {}, null]);
+        })
+        it('splits values across chunks', function() {
+            var text = '{"a":"x\\"]y"}\n[1,{"b":2}]\n12345\n"é"';
+            var bytes = fromBuf(text), chunks = [];
+            for (var i = 0; i < bytes.length; i++) chunks.push(bytes.slice(i, i + 1));
+            assert.deepEqual(split(chunks), [{ a: 'x"]y' }, [1, { b: 2 }], 12345, 'é']);
+        })
+        it('throws on unbalanced brackets', function() {
+            assert.throws(function() { split(['[1]]']) }, /unbalanced/);
+        })
+    })
+
+    describe('ItemReader', function() {
+        function read( framed, chunks ) {
+            var reader = new cli.ItemReader(framed), values = [];
+            function onItem( bytes ) { values.push(bjson.decode(bytes)) }
+            for (var i = 0; i < chunks.length; i++) reader.write(chunks[i], onItem);
+            reader.end(onItem);
+            return values;
+        }
+        function bytewise( bytes ) {
+            var chunks = [];
+            for (var i = 0; i < bytes.length; i++) chunks.push(bytes.slice(i, i + 1));
+            return chunks;
+        }
+        it('splits concatenated items', function() {
+            assert.deepEqual(read(false, [encoded]), items);
+            assert.deepEqual(read(false, bytewise(encoded)), items);
+        })
+        it('splits framed items', function() {
+            var framed = Buffer.concat(items.map(function(item) { return frame(bjson.encode(item)) }));
+            assert.deepEqual(read(true, [framed]), items);
+            assert.deepEqual(read(true, bytewise(framed)), items);
+        })
+        it('splits large items arriving in small chunks', function() {
+            var big = [new Array(100000).join('x'), { a: new Array(50000).join('y') }];
+            var bytes = Buffer.concat(big.map(function(item) { return bjson.encode(item) })), chunks = [];
+            for (var i = 0; i < bytes.length; i += 100) chunks.push(bytes.slice(i, i + 100));
+            assert.deepEqual(read(false, chunks), big);
+        })
+        it('throws on truncated input', function() {
+            assert.throws(function() { read(false, [encoded.slice(0, encoded.length - 1)]) }, bjson.DecodeError);
+            assert.throws(function() { read(true, [frame(encoded).slice(0, 10)]) }, /truncated/);
+        })
+        it('throws on corrupt input', function() {
+            assert.throws(function() { read(false, [fromBuf([0x7F])]) }, /not supported/);
+        })
+    })
+
+    describe('dump', function() {
+        it('lists each typecode with offset, bytes and value', function() {
+            var lines = cli.dumpItem(bjson.encode({ a: [1, 'bc'], d: null }), 0x10).split('\n');
+            assert.deepEqual(lines.map(function(line) { return line.replace(/ +/g, ' ') }), [
+                '00000010 f2 T_OBJECTI+2',
+                '00000011 c1 61 T_STRINGI+1 "a"',
+                '00000013 e2 T_ARRAYI+2',
+                '00000014 01 T_INTI+1 1',
+                '00000015 c2 62 63 T_STRINGI+2 "bc"',
+                '00000018 c1 64 T_STRINGI+1 "d"',
+                '0000001a 40 T_NULL',
+            ]);
+        })
+        it('lists extended types', function() {
+            var item = [new Date(0), new Map([['k', new Set([1])]]), fromBuf([1, 2]), 'abc', 'abc'];
+            var dump = cli.dumpItem(bjson.encode(item, { dates: true, stringRefs: true }));
+            assert.ok(/T_DATE +1970-01-01T00:00:00.000Z/.test(dump));
+            assert.ok(/ T_MAPB$/m.test(dump));
+            assert.ok(/ T_SETB$/m.test(dump));
+            assert.ok(/ T_BYTESI\+2 +<Buffer 0102>/.test(dump));
+            assert.ok(/ T_STRDEF +"abc"\n.* T_STRREFB +"abc"/.test(dump));
+        })
+        it('flags malformed bytes', function() {
+            var dump = cli.dumpItem(fromBuf([0xE3, 1, 0x7F, 2, 0xC5, 0x61]));
+            assert.ok(/7f +unknown  \*\* typecode not supported/.test(dump));
+            assert.ok(/T_INTI\+2  2/.test(dump));
+            assert.ok(/T_STRINGI\+5  \*\* length 5 runs past end/.test(dump));
+        })
+        it('reads 8-byte lengths', function() {
+            var dump = cli.dumpItem(fromBuf([0xA3, 0, 0, 0, 0, 0, 0, 0, 1, 0x83, 0, 0, 0, 0, 0, 0, 0, 2, 0x61, 0x62]));
+            assert.ok(/ T_ARRAYB\+3\n.*   T_STRINGB\+3 +"ab"/.test(dump));
+        })
+    })
+
+    describe('stats', function() {
+        it('tallies bytes by type', function() {
+            var stats = new cli.Stats();
+            stats.add(bjson.encode({ a: 'xyz', b: [1.5, 2] }));
+            assert.equal(stats.items, 1);
+            assert.equal(stats.bytes, 16);
+            assert.equal(stats.jsonBytes, JSON.stringify({ a: 'xyz', b: [1.5, 2] }).length + 1);
+            assert.deepEqual(stats.types.T_STRINGI, { count: 3, bytes: 8 });
+            assert.deepEqual(stats.types.T_FLOAT32, { count: 1, bytes: 5 });
+            assert.ok(/bxson +16 bytes/.test(stats.report()));
+        })
+    })
+
+    describe('commands', function() {
+        var ndjson = items.map(function(item) { return JSON.stringify(item) }).join('\n') + '\n';
+
+        it('encode converts JSON to bxson', function() {
+            var ret = runCli(['encode'], ndjson);
+            assert.equal(ret.status, 0);
+            assert.deepEqual(ret.stdout, encoded);
+        })
+        it('encode --framed writes length-prefixed items', function() {
+            var ret = runCli(['encode', '--framed'], ndjson);
+            assert.deepEqual(ret.stdout, Buffer.concat(items.map(function(item) { return frame(bjson.encode(item)) })));
+        })
+        it('decode converts bxson to NDJSON', function() {
+            var ret = runCli(['decode'], encoded);
+            assert.equal(ret.status, 0);
+            assert.equal(ret.stdout.toString(), ndjson);
+            ret = runCli(['decode', '-f'], runCli(['encode', '-f'], ndjson).stdout);
+            assert.equal(ret.stdout.toString(), ndjson);
+        })
+        it('decode prints values that JSON does not have', function() {
+            var ret = runCli(['decode'], bjson.encode([new Map([['a', new Set([1])]]), undefined]));
+            assert.equal(ret.stdout.toString(), '[{"a":[1]},null]\n');
+        })
+        it('decode prints BigInts as numbers', function() {
+            if (typeof BigInt !== 'function') return;
+            var big = BigInt('123456789012345678901234567890');
+            var ret = runCli(['decode'], bjson.encode({ a: big, b: [-big, '\u0000#0'], '\u0000#1': BigInt(1) }));
+            assert.equal(ret.stdout.toString(),
+                '{"a":123456789012345678901234567890,"b":[-123456789012345678901234567890,"\\u0000#0"],"\\u0000#1":1}\n');
+        })
+        it('dump and stats read bxson', function() {
+            assert.ok(/T_OBJECTI\+2/.test(runCli(['dump'], encoded).stdout.toString()));
+            assert.ok(/items +5/.test(runCli(['stats'], encoded).stdout.toString()));
+        })
+        it('dump lists malformed input and exits with an error', function() {
+            var ret = runCli(['dump'], Buffer.concat([encoded, fromBuf([0x7F, 1])]));
+            assert.equal(ret.status, 1);
+            assert.ok(/unknown  \*\* typecode not supported/.test(ret.stdout.toString()));
+            assert.ok(/^bxson: typecode not supported/.test(ret.stderr.toString()));
+        })
+        it('reports errors', function() {
+            var ret = runCli(['decode'], '{}');
+            assert.equal(ret.status, 1);
+            assert.ok(/^bxson: /.test(ret.stderr.toString()));
+            ret = runCli(['nonesuch'], '');
+            assert.equal(ret.status, 2);
+            assert.ok(/usage/.test(ret.stderr.toString()));
+        })
+    })
+})
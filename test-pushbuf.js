@@ -62,10 +62,19 @@ describe('pushbuf', function() {
             assert.deepEqual(buf.slice(0, 4), fromBuf([0, 1, 2, 3]));
         })
         it('varint', function() {
-            // varint is stored in little-endian order, each byte holding bits
+            // varint is stored LEB128 in little-endian order, each byte holding bits
             // 100.0000100.0000011.0000010.0000001.0100000.1100000
             buf.pushVarint(0x102030405060);
-            assert.deepEqual(buf.slice(), fromBuf([0x60, 0x20, 1, 2, 3, 4, 4 + 0x80]));
+            assert.deepEqual(buf.slice(), fromBuf([0x60 + 0x80, 0x20 + 0x80, 0x81, 0x82, 0x83, 0x84, 4]));
+            buf.end = 0;
+            buf.pushVarint(0);
+            buf.pushVarint(127);
+            buf.pushVarint(128);
+            buf.pushVarint(300);
+            assert.deepEqual(buf.slice(), fromBuf([0, 0x7f, 0x80, 1, 0xAC, 2]));
+            buf.end = 0;
+            buf.pushVarint(Math.pow(2, 53) - 1);
+            assert.deepEqual(buf.slice(), fromBuf([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x0f]));
         })
         it('float, double', function() {
             buf.reserve(10);
@@ -148,11 +157,15 @@ describe('pushbuf', function() {
             assert.equal(buf.shiftLE(5), 0x0F0E0D0C0B);
         })
         it('shiftVarint', function() {
-            buf.push(1, 2, 3, 128);
+            buf.push(128 + 1, 128 + 2, 3, 128);
             assert.equal(buf.shiftVarint(), 1 + 128 * 2 + 128 * 128 * 3);
+            assert.equal(buf.pos, 3);
             buf.poke(0, 1, 2, 128 + 3);
             buf.pos = 0;
-            assert.equal(buf.shiftVarint(), 1 + 128 * 2 + 128 * 128 * 3);
+            assert.equal(buf.shiftVarint(), 1);
+            buf.end = buf.pos = 0;
+            buf.push(0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x0f);
+            assert.equal(buf.shiftVarint(), Math.pow(2, 53) - 1);
         })
         it('float, double', function() {
             buf.reserve(10);
@@ -0,0 +1,104 @@
+'use strict';
+
+var assert = require('assert');
+var bjson = require('./bjson');
+var encodeKey = bjson.encodeKey;
+var decodeKey = bjson.decodeKey;
+var compare = bjson.compare;
+
+var fromBuf = parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer;
+var hasBigInt = typeof BigInt === 'function';
+
+// the keys must sort in the listed order
+function assertSorted( items ) {
+    var keys = items.map(encodeKey);
+    for (var i = 1; i < keys.length; i++) {
+        assert.ok(compare(keys[i - 1], keys[i]) < 0, 'expected ' + String(items[i - 1]) + ' < ' + String(items[i]));
+    }
+    var shuffled = keys.slice().reverse().sort(compare);
+    assert.deepEqual(shuffled, keys);
+}
+
+describe('sortkey', function() {
+    describe('encodeKey and decodeKey', function() {
+        it('round-trips values', function() {
+            var items = [
+                undefined, null, false, true, 0, 1, -1, 1.5, -1e300, Infinity, -Infinity,
+                '', 'abc', 'a\u0000b', 'é中😀', fromBuf([0, 1, 0, 255]), fromBuf([]),
+                new Date(1600000000000), [], [1, 'two', [3, null]], ['', [], [[]]],
+            ];
+            if (hasBigInt) items.push(BigInt(0), BigInt(255), BigInt(-256), BigInt('0x123456789abcdef0123'));
+            for (var i = 0; i < items.length; i++) {
+                assert.deepStrictEqual(decodeKey(encodeKey(items[i])), items[i]);
+            }
+        })
+        it('round-trips NaN', function() {
+            assert.ok(isNaN(decodeKey(encodeKey(NaN))));
+        })
+        it('encodes -0 as 0', function() {
+            assert.deepEqual(encodeKey(-0), encodeKey(0));
+        })
+        it('encodes boxed values as their primitive', function() {
+            assert.deepEqual(encodeKey(new Number(3)), encodeKey(3));
+            assert.deepEqual(encodeKey(new String('x')), encodeKey('x'));
+        })
+        it('rejects objects and functions', function() {
+            assert.throws(function() { encodeKey({ a: 1 }) }, /cannot encode object/);
+            assert.throws(function() { encodeKey([1, {}]) }, /cannot encode object/);
+            assert.throws(function() { encodeKey(function(){}) }, /function/);
+        })
+        it('rejects malformed keys', function() {
+            var key = encodeKey([1, 'abc']);
+            for (var i = 0; i < key.length; i++) {
+                assert.throws(function() { decodeKey(key.slice(0, i)) }, bjson.DecodeError);
+            }
+            assert.throws(function() { decodeKey(Buffer.concat([key, fromBuf([0])])) }, /extra bytes/);
+            assert.throws(function() { decodeKey(fromBuf([0x7f])) }, /not supported/);
+        })
+    })
+
+    describe('ordering', function() {
+        it('orders types', function() {
+            var items = [undefined, null, false, true, 1];
+            if (hasBigInt) items.push(BigInt(1));
+            items.push(new Date(1), 'a', fromBuf('a'), ['a']);
+            assertSorted(items);
+        })
+        it('orders numbers', function() {
+            assertSorted([-Infinity, -1e300, -1000, -1.5, -1, -1e-300, 0, 1e-300, 0.5, 1, 2, 255, 256, 1e20, Infinity, NaN]);
+        })
+        it('orders random numbers', function() {
+            var nums = [];
+            for (var i = 0; i < 1000; i++) nums.push((Math.random() - 0.5) * Math.pow(10, Math.random() * 40 - 20));
+            nums.sort(function(a, b) { return a - b });
+            for (var i = 1; i < nums.length; i++) {
+                if (nums[i] !== nums[i - 1]) assert.ok(compare(encodeKey(nums[i - 1]), encodeKey(nums[i])) < 0);
+            }
+        })
+        it('orders BigInts', function() {
+            if (!hasBigInt) this.skip();
+            assertSorted([BigInt(-65536), BigInt(-65535), BigInt(-256), BigInt(-255), BigInt(-1),
+                BigInt(0), BigInt(1), BigInt(255), BigInt(256), BigInt('0x123456789abcdef0123')]);
+        })
+        it('orders Dates', function() {
+            assertSorted([new Date(-1000), new Date(0), new Date(1), new Date(1600000000000)]);
+        })
+        it('orders strings by codepoint', function() {
+            assertSorted(['', '\u0000', '\u0000\u0000', '\u0001', 'a', 'a\u0000', 'aa', 'ab', 'b', 'é', '￿', '😀']);
+        })
+        it('orders Buffers', function() {
+            assertSorted([fromBuf([]), fromBuf([0]), fromBuf([0, 0]), fromBuf([0, 1]), fromBuf([1]), fromBuf([255])]);
+        })
+        it('orders arrays element by element', function() {
+            assertSorted([[], [null], [1], [1, null], [1, 2], [1, 'a'], [2], ['a', 1], ['a\u0000'], [[]], [[1]]]);
+        })
+    })
+
+    describe('compare', function() {
+        it('compares bytewise', function() {
+            assert.ok(compare(fromBuf([1, 2]), fromBuf([1, 3])) < 0);
+            assert.ok(compare(fromBuf([1, 2]), fromBuf([1])) > 0);
+            assert.equal(compare(fromBuf([1, 2]), fromBuf([1, 2])), 0);
+        })
+    })
+})
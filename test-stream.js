@@ -0,0 +1,160 @@
+'use strict';
+
+var assert = require('assert');
+var bjson = require('./bjson');
+var encode = bjson.encode;
+
+var fromBuf = parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer;
+
+function frame( item ) {
+    var bytes = encode(item);
+    var header = fromBuf([0, 0, 0, 0]);
+    header.writeUInt32BE(bytes.length, 0);
+    return Buffer.concat([header, bytes]);
+}
+
+// write the chunks to the stream, and return the emitted items or error
+function runStream( stream, chunks, callback ) {
+    var items = [], returned = false;
+    stream.on('data', function(item) { items.push(item) });
+    stream.on('error', function(err) { if (!returned) { returned = true; callback(err, items) } });
+    stream.on('end', function() { if (!returned) { returned = true; callback(null, items) } });
+    for (var i = 0; i < chunks.length; i++) stream.write(chunks[i]);
+    stream.end();
+}
+
+describe('stream', function() {
+    var messages = [
+        { a: 1, b: 'two', c: [3] },
+        'hello',
+        [1, 2.5, { x: true }],
+        12345,
+        false,
+    ];
+
+    describe('createEncodeStream', function() {
+        it('emits length-prefixed frames', function(done) {
+            var chunks = [];
+            var stream = bjson.createEncodeStream();
+            stream.on('data', function(chunk) { chunks.push(chunk) });
+            stream.on('end', function() {
+                var expect = Buffer.concat(messages.map(frame));
+                assert.deepEqual(Buffer.concat(chunks), expect);
+                done();
+            });
+            for (var i = 0; i < messages.length; i++) stream.write(messages[i]);
+            stream.end();
+        })
+        it('rejects undefined', function(done) {
+            runStream(bjson.createEncodeStream(), [undefined], function(err) {
+                assert.ok(err);
+                assert.ok(/undefined/.test(err.message));
+                done();
+            })
+        })
+        it('rejects oversized messages', function(done) {
+            runStream(bjson.createEncodeStream({ maxFrameSize: 10 }), ['xxxxxxxxxxxxxxxxxxxx'], function(err) {
+                assert.ok(err);
+                assert.ok(/too large/.test(err.message));
+                done();
+            })
+        })
+    })
+
+    describe('createDecodeStream', function() {
+        it('decodes frames', function(done) {
+            runStream(bjson.createDecodeStream(), messages.map(frame), function(err, items) {
+                assert.ifError(err);
+                assert.deepEqual(items, messages);
+                done();
+            })
+        })
+        it('decodes several frames in one chunk', function(done) {
+            var chunk = Buffer.concat(messages.map(frame));
+            runStream(bjson.createDecodeStream(), [chunk], function(err, items) {
+                assert.ifError(err);
+                assert.deepEqual(items, messages);
+                done();
+            })
+        })
+        it('decodes frames split across chunks', function(done) {
+            var bytes = Buffer.concat(messages.map(frame));
+            var chunks = [];
+            for (var i = 0; i < bytes.length; i++) chunks.push(bytes.slice(i, i + 1));
+            runStream(bjson.createDecodeStream(), chunks, function(err, items) {
+                assert.ifError(err);
+                assert.deepEqual(items, messages);
+                done();
+            })
+        })
+        it('decodes frames straddling chunk boundaries', function(done) {
+            var bytes = Buffer.concat(messages.map(frame));
+            var chunks = [bytes.slice(0, 2), bytes.slice(2, 13), bytes.slice(13, 30), bytes.slice(30)];
+            runStream(bjson.createDecodeStream(), chunks, function(err, items) {
+                assert.ifError(err);
+                assert.deepEqual(items, messages);
+                done();
+            })
+        })
+        it('errors on oversized frame', function(done) {
+            runStream(bjson.createDecodeStream({ maxFrameSize: 10 }), [frame('xxxxxxxxxxxxxxxxxxxx')], function(err) {
+                assert.ok(err);
+                assert.ok(/too large/.test(err.message));
+                done();
+            })
+        })
+        it('errors on truncated frame', function(done) {
+            var bytes = frame({ a: 1, b: 2 });
+            runStream(bjson.createDecodeStream(), [bytes.slice(0, bytes.length - 1)], function(err) {
+                assert.ok(err);
+                assert.ok(/truncated/.test(err.message));
+                done();
+            })
+        })
+        it('errors on truncated header', function(done) {
+            runStream(bjson.createDecodeStream(), [fromBuf([0, 0])], function(err) {
+                assert.ok(err);
+                assert.ok(/truncated/.test(err.message));
+                done();
+            })
+        })
+        it('errors on empty frame', function(done) {
+            runStream(bjson.createDecodeStream(), [fromBuf([0, 0, 0, 0])], function(err) {
+                assert.ok(err instanceof bjson.DecodeError);
+                assert.ok(/empty frame/.test(err.message));
+                done();
+            })
+        })
+        it('errors on bytes after the item in a frame', function(done) {
+            runStream(bjson.createDecodeStream(), [fromBuf([0, 0, 0, 3, 1, 2, 3])], function(err, items) {
+                assert.ok(err instanceof bjson.DecodeError);
+                assert.ok(/frame has 2 bytes after the item at offset 1/.test(err.message));
+                assert.deepEqual(items, []);
+                done();
+            })
+        })
+        it('errors on null message', function(done) {
+            runStream(bjson.createDecodeStream(), [frame(null)], function(err) {
+                assert.ok(err);
+                assert.ok(/null/.test(err.message));
+                done();
+            })
+        })
+    })
+
+    describe('pipe', function() {
+        it('round-trips messages', function(done) {
+            var encoder = bjson.createEncodeStream();
+            var decoder = bjson.createDecodeStream();
+            var items = [];
+            encoder.pipe(decoder);
+            decoder.on('data', function(item) { items.push(item) });
+            decoder.on('end', function() {
+                assert.deepEqual(items, messages);
+                done();
+            })
+            for (var i = 0; i < messages.length; i++) encoder.write(messages[i]);
+            encoder.end();
+        })
+    })
+})